@@ -58,6 +58,62 @@ export const scale = {
 	operator: Operators.scale,
 };
 
+export const signal = {
+	command: 'signal [name] [signal]',
+	description: 'Send a signal to a process',
+	schema: Schemas.signal,
+	operator: Operators.signal,
+};
+
+export const pause = {
+	command: 'pause [name]',
+	description: 'Pause a process',
+	schema: Schemas.pause,
+	operator: Operators.pause,
+};
+
+export const resume = {
+	command: 'resume [name]',
+	description: 'Resume a paused process',
+	schema: Schemas.resume,
+	operator: Operators.resume,
+};
+
+export const send = {
+	command: 'send [name] [message]',
+	description: 'Send a message to a process',
+	schema: Schemas.send,
+	operator: Operators.send,
+};
+
+export const action = {
+	command: 'action [name] [action] [params]',
+	description: 'List or run the actions of a process',
+	schema: Schemas.action,
+	operator: Operators.action,
+};
+
+export const save = {
+	command: 'save',
+	description: 'Save the running processes to restore later',
+	schema: Schemas.save,
+	operator: Operators.save,
+};
+
+export const resurrect = {
+	command: 'resurrect',
+	description: 'Restore the saved processes',
+	schema: Schemas.resurrect,
+	operator: Operators.resurrect,
+};
+
+export const startup = {
+	command: 'startup [platform]',
+	description: 'Generate a unit file to resurrect processes on boot',
+	schema: Schemas.startup,
+	operator: Operators.startup,
+};
+
 export const list = {
 	command: 'list',
 	aliases: ['ls'],
@@ -80,6 +136,20 @@ export const show = {
 	operator: Operators.show,
 };
 
+export const crashes = {
+	command: 'crashes [name]',
+	description: 'Show crash reports',
+	schema: Schemas.crashes,
+	operator: Operators.crashes,
+};
+
+export const doctor = {
+	command: 'doctor',
+	description: 'Diagnose and fix the stale runtime files and processes',
+	schema: Schemas.doctor,
+	operator: Operators.doctor,
+};
+
 export const flush = {
 	command: 'flush [name]',
 	description: 'Remove log files',
@@ -1,8 +1,9 @@
-import { uniq, isFunction } from 'lodash';
+import { uniq, isFunction, isUndefined } from 'lodash';
 import { logger, flush } from 'pot-logger';
 import Instance from './Instance';
 import delay from 'delay';
 import flushOfflineDirs from '../utils/flushOfflineDirs';
+import parseTargetName from '../utils/parseTargetName';
 
 export default class Connection {
 	static async getNames(options) {
@@ -16,9 +17,17 @@ export default class Connection {
 		return uniq(names).filter(Boolean);
 	}
 
-	static async getByName(name, options) {
-		const instances = await Instance.getInstancesByName(name, options);
-		return instances.length ? new Connection(name, instances) : null;
+	// `target` could be an app name, or `name#N` to get the instance #N only.
+	// `options.instance` works like `#N` too
+	static async getByName(target, options = {}) {
+		const { name, instance = options.instance } = parseTargetName(target);
+		const instances = await Instance.getInstancesByName(name, {
+			...options,
+			instance,
+		});
+		return instances.length ?
+			new Connection(name, instances, { instance }) :
+			null;
 	}
 
 	static async getState(name, options = {}) {
@@ -35,11 +44,24 @@ export default class Connection {
 		return flushOfflineDirs(onlinesNames);
 	}
 
-	constructor(name, instances = []) {
+	constructor(name, instances = [], options = {}) {
+		const { instance } = options;
 		this._name = name;
+		this._instance = instance;
+		this._displayName = isUndefined(instance) ? name : `${name} #${instance}`;
 		this.instances = instances;
 	}
 
+	// apply to the target instance only if the connection is created by
+	// `name#N` or `instance` option
+	_withInstance(options) {
+		const { instance } = options;
+		return {
+			...options,
+			instance: isUndefined(instance) ? this._instance : instance,
+		};
+	}
+
 	async getState(instanceIndex = 0) {
 		const instance = this.instances[instanceIndex];
 		if (!instance) return {};
@@ -54,27 +76,69 @@ export default class Connection {
 		);
 	}
 
-	async restart() {
-		return this.each('restart');
+	async restart(options = {}) {
+		const { signal, timeout } = options;
+		return this.each('restart', { signal, timeout });
 	}
 
 	async reload(options = {}) {
 		const { instances } = this;
 		const { length } = instances;
-		const { delay: timeout, onProgress } = options;
-		const eachTimeout = length > 1 ? Math.max(100, timeout / length) : 0;
+		const { delay: reloadDelay, onProgress, signal, timeout } = options;
+		const eachTimeout = length > 1 ? Math.max(100, reloadDelay / length) : 0;
 		for (const instance of instances) {
 			const state = await instance.getState();
 			if (!state) continue;
-			const ok = await instance.restart();
+			const ok = await instance.reload({ signal, timeout });
 			if (isFunction(onProgress)) onProgress(ok, state);
 			await instance.disconnect();
 			await delay(eachTimeout);
 		}
 	}
 
-	async scale(number) {
-		const res = await this.instances[0].scale(number);
+	async scale(number, options = {}) {
+		const { signal, timeout } = options;
+		const res = await this.instances[0].scale(number, { signal, timeout });
+		await this.disconnect();
+		return res;
+	}
+
+	async signal(signal, options = {}) {
+		const res = await this.instances[0].signal(
+			signal,
+			this._withInstance(options),
+		);
+		await this.disconnect();
+		return res;
+	}
+
+	async pause(options = {}) {
+		const res = await this.instances[0].pause(this._withInstance(options));
+		await this.disconnect();
+		return res;
+	}
+
+	async resume(options = {}) {
+		const res = await this.instances[0].resume(this._withInstance(options));
+		await this.disconnect();
+		return res;
+	}
+
+	async send(payload, options = {}) {
+		const res = await this.instances[0].send(
+			payload,
+			this._withInstance(options),
+		);
+		await this.disconnect();
+		return res;
+	}
+
+	async action(name, params, options = {}) {
+		const res = await this.instances[0].action(
+			name,
+			params,
+			this._withInstance(options),
+		);
 		await this.disconnect();
 		return res;
 	}
@@ -95,7 +159,8 @@ export default class Connection {
 	}
 
 	async requestStopServer(options = {}) {
-		options.shouldLog && logger.info(`"${this._name}" stopped`);
-		return this.each('requestStopServer');
+		const { shouldLog, signal, timeout } = options;
+		shouldLog && logger.info(`"${this._displayName}" stopped`);
+		return this.each('requestStopServer', { signal, timeout });
 	}
 }
@@ -8,7 +8,7 @@ import {
 	getSocketPath,
 	removeDomainSocketFile,
 } from '../utils/SocketsHelpers';
-import { differenceWith, noop } from 'lodash';
+import { differenceWith, noop, isUndefined } from 'lodash';
 import isWin from '../utils/isWin';
 import workspace from '../utils/workspace';
 
@@ -72,7 +72,8 @@ const getAll = async function getAll() {
 	return refsList;
 };
 
-const getByName = async function getByName(name) {
+// `instance` is optional, to get the specific instance only
+const getByName = async function getByName(name, instance) {
 	const refsList = await getAll();
 	const res = [];
 	await Promise.all(
@@ -80,7 +81,10 @@ const getByName = async function getByName(name) {
 			const { socket } = ref;
 			const state = await getState(socket);
 			if (state) {
-				if (name === state.name) {
+				if (
+					name === state.name &&
+					(isUndefined(instance) || instance === state.instanceId)
+				) {
 					res.push(ref);
 				}
 				else {
@@ -127,7 +131,7 @@ export default class Instance {
 
 	static async getInstancesByName(name, options) {
 		workspace.set(options);
-		const refs = await getByName(name);
+		const refs = await getByName(name, options && options.instance);
 		return refs.map((ref) => new Instance(ref, options));
 	}
 
@@ -159,12 +163,36 @@ export default class Instance {
 		return getInfoVerbose(state);
 	}
 
-	async restart() {
-		return this.call('restart');
+	async restart(options) {
+		return this.call('restart', options);
 	}
 
-	async scale(number) {
-		return this.call('scale', number);
+	async reload(options) {
+		return this.call('reload', options);
+	}
+
+	async scale(number, options) {
+		return this.call('scale', number, options);
+	}
+
+	async signal(signal, options) {
+		return this.call('signal', signal, options);
+	}
+
+	async pause(options) {
+		return this.call('pause', options);
+	}
+
+	async resume(options) {
+		return this.call('resume', options);
+	}
+
+	async send(payload, options) {
+		return this.call('send', payload, options);
+	}
+
+	async action(name, params, options) {
+		return this.call('action', name, params, options);
 	}
 
 	async disconnect() {
@@ -176,8 +204,12 @@ export default class Instance {
 		}
 	}
 
-	async requestStopServer(options) {
-		await this._socket.requestClose(options);
+	async requestStopServer(options = {}) {
+		const { signal, timeout } = options;
+		if (signal || !isUndefined(timeout)) {
+			await call(this._socket, 'prepareShutDown', { signal, timeout });
+		}
+		await this._socket.requestClose();
 		await this.disconnect();
 	}
 }
@@ -0,0 +1,51 @@
+import { logger } from 'pot-logger';
+import { prepareRun, prepareTarget } from '../utils/PrepareCli';
+import { action as schema } from '../Schemas/cli';
+import parseJsonArg from '../utils/parseJsonArg';
+
+const listActions = async function listActions(connection, instance) {
+	let stateList = await Promise.all(
+		connection.instances.map((instance) => instance.getState()),
+	);
+
+	stateList = stateList.filter(
+		(state) => state && (!instance || state.monitor.instanceId === instance),
+	);
+
+	stateList.forEach(({ actions = [], displayName }) => {
+		if (actions.length) {
+			logger.info(`"${displayName}" actions:`, actions.join(', '));
+		}
+		else {
+			logger.info(`"${displayName}" has no action`);
+		}
+	});
+};
+
+export default async function action(options = {}) {
+	prepareRun(schema, options);
+
+	const { connection, targetName } = await prepareTarget(options);
+	const { instance, params, timeout } = options;
+
+	if (!options.action) {
+		return listActions(connection, instance);
+	}
+
+	const { ok, results, errors } = await connection.action(
+		options.action,
+		params === undefined ? undefined : parseJsonArg(params),
+		{ instance, timeout },
+	);
+
+	results.forEach(({ displayName, result }) => {
+		logger.info(`"${displayName}"`, JSON.stringify(result));
+	});
+
+	if (!ok) {
+		errors.forEach((error) => logger.error(error.message));
+		throw new Error(
+			`Failed to run action "${options.action}" on "${targetName}"`,
+		);
+	}
+}
@@ -0,0 +1,53 @@
+import { logger } from 'pot-logger';
+import chalk from 'chalk';
+import createTable from '../utils/createTable';
+import { prepareRun, ensureArg } from '../utils/PrepareCli';
+import { getCrashReports, getCrashedNames } from '../utils/CrashReports';
+import { crashes as schema } from '../Schemas/cli';
+
+const printReport = function printReport(report) {
+	const { displayName, name, time, exitCode, signal, output } = report;
+	const table = createTable({ padding: 4 });
+
+	table.push(['']);
+	table.push([
+		chalk.bgRed(` ${displayName || name} `),
+		chalk.gray(new Date(time).toLocaleString()),
+	]);
+	table.push(['']);
+	[
+		['exitCode', exitCode === null ? '-' : exitCode],
+		['signal', signal || '-'],
+		['uptime', `${(report.uptime / 1000).toFixed(1)}s`],
+		['restarts', report.restarts],
+		['crashes', report.crashes],
+		['pid', report.pid],
+		['command', report.command],
+		['cwd', report.cwd],
+	].forEach(([key, value]) => table.push([chalk.blue(key), `${value}`]));
+	console.log(table.toString());
+
+	console.log();
+	output.forEach(({ stream, text }) => {
+		console.log(stream === 'stderr' ? chalk.red(text) : text);
+	});
+};
+
+export default async function crashes(options = {}) {
+	prepareRun(schema, options);
+
+	const name = await ensureArg({
+		value: options.name,
+		message: 'Please select the target app',
+		errorMessage: 'No crash report',
+		getChoices: getCrashedNames,
+	});
+
+	const reports = await getCrashReports(name, { last: options.last });
+	if (!reports.length) {
+		return logger.warn(`No crash report of "${name}"`);
+	}
+
+	reports.forEach(printReport);
+	console.log();
+}
@@ -0,0 +1,75 @@
+import { logger } from 'pot-logger';
+import chalk from 'chalk';
+import { forEach, groupBy } from 'lodash';
+import createTable from '../utils/createTable';
+import diagnose from '../utils/diagnose';
+import { prepareRun } from '../utils/PrepareCli';
+import { doctor as schema } from '../Schemas/cli';
+
+const printIssues = function printIssues(issues) {
+	const table = createTable({ padding: 2 });
+	table.push(['']);
+	issues.forEach(({ type, target, message, suggestion, fixed, error }) => {
+		const status = (function () {
+			if (fixed) return chalk.green('fixed');
+			if (error) return chalk.red(`fix failed: ${error.message}`);
+			return chalk.gray(`suggested: ${suggestion}`);
+		})();
+		table.push([chalk.yellow(type), target]);
+		table.push(['', message]);
+		table.push(['', status]);
+		table.push(['']);
+	});
+	console.log(table.toString());
+};
+
+export default async function doctor(options = {}) {
+	prepareRun(schema, options);
+
+	const results = await diagnose();
+	const infos = results.filter(({ info }) => info);
+	const issues = results.filter(({ info }) => !info);
+
+	// not problems, only print the targets of each type and the suggestion
+	forEach(groupBy(infos, 'type'), (group, type) => {
+		const targets = group.map(({ target }) => target).join(', ');
+		logger.info(`${chalk.cyan(type)}: ${targets}`);
+		logger.info(chalk.gray(`${group[0].message}. ${group[0].suggestion}`));
+	});
+
+	if (!issues.length) {
+		logger.info('No problem found');
+		return issues;
+	}
+
+	if (options.fix) {
+		// fix one by one, deprecated dirs should be removed after the files
+		for (const issue of issues) {
+			if (!issue.fix) continue;
+			try {
+				await issue.fix();
+				issue.fixed = true;
+			}
+			catch (err) {
+				logger.debug(err);
+				issue.error = err;
+			}
+		}
+	}
+
+	printIssues(issues);
+
+	const unfixed = issues.filter(({ fixed }) => !fixed);
+	if (!unfixed.length) {
+		logger.info(`Fixed ${issues.length} problem(s)`);
+	}
+	else if (options.fix) {
+		logger.warn(`${unfixed.length} problem(s) should be fixed manually`);
+	}
+	else {
+		logger.warn(
+			`Found ${issues.length} problem(s), run \`pot doctor --fix\` to fix them`,
+		);
+	}
+	return issues;
+}
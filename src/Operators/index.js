@@ -3,7 +3,15 @@ export { stop, stopAll } from './stop';
 export { restart, restartAll } from './restart';
 export { reload, reloadAll } from './reload';
 export scale from './scale';
+export signal from './signal';
+export { pause, resume } from './pause';
+export send from './send';
+export action from './action';
+export { save, resurrect } from './save';
+export startup from './startup';
 export list from './list';
 export log from './log';
 export show from './show';
+export crashes from './crashes';
+export doctor from './doctor';
 export { flush, flushAll } from './flush';
@@ -1,6 +1,6 @@
 import { logger } from 'pot-logger';
 import createTable from '../utils/createTable';
-import { isUndefined, isFunction } from 'lodash';
+import { isUndefined, isNil, isFunction } from 'lodash';
 import Connection from '../Connection';
 import logUpdate from 'log-update';
 import chalk from 'chalk';
@@ -25,27 +25,56 @@ const defaultCells = [
 	},
 	{
 		title: 'Status',
-		width: 8,
+		width: 10,
 		get: (state, chalk) => {
 			const { status } = state.monitor;
 			switch (status) {
 				case 'running':
 					return chalk.green(status);
+				case 'completed':
+				case 'scheduled':
+					return chalk.cyan(status);
 				case 'stopped':
 				case 'crashed':
 					return chalk.red(status);
 				case 'sleeping':
+				case 'launching':
+				case 'paused':
 					return chalk.yellow(status);
 				default:
 					return status;
 			}
 		},
 	},
+	{
+		title: 'Health',
+		width: 11,
+		get: (state, chalk) => {
+			const { health } = state.monitor;
+			switch (health) {
+				case 'healthy':
+					return chalk.green(health);
+				case 'unhealthy':
+					return chalk.red(health);
+				default:
+					return '-';
+			}
+		},
+	},
 	{
 		title: 'Crashes',
 		width: 8,
 		get: (state) => state.monitor.crashes,
 	},
+	{
+		title: 'Exit',
+		width: 8,
+		get: (state) => {
+			const { exitCode, exitSignal } = state.monitor;
+			if (exitSignal) return exitSignal;
+			return isNil(exitCode) ? '-' : exitCode;
+		},
+	},
 	{
 		title: 'Memory',
 		width: 18,
@@ -65,6 +94,7 @@ const defaultCells = [
 		},
 	},
 	{ title: 'Started', width: 20, get: (state) => state.monitor.startedLocal },
+	{ title: 'Port', width: 7, get: (state) => state.monitor.port },
 	{ title: 'PID', width: 6, get: (state) => state.pid },
 ];
 
@@ -2,14 +2,38 @@ import { logger } from 'pot-logger';
 import { join } from 'path';
 import sliceFile from 'slice-file';
 import globby from 'globby';
+import { Transform } from 'stream';
+import { isUndefined } from 'lodash';
 import { prepareRun, prepareTarget, ensureArg } from '../utils/PrepareCli';
 import { log as schema } from '../Schemas/cli';
 
+// keep the output lines of the instance (logged as `#N` category) and the
+// monitor lines mentioning it
+const createInstanceMatcher = function createInstanceMatcher(state) {
+	const category = ` #${state.instanceId} - `;
+	const displayName = `"${state.displayName}"`;
+	return (text) => !!~text.indexOf(category) || !!~text.indexOf(displayName);
+};
+
+const createInstanceFilter = function createInstanceFilter(isMatched) {
+	return new Transform({
+		transform(chunk, encoding, callback) {
+			callback(null, isMatched(chunk.toString()) ? chunk : undefined);
+		},
+	});
+};
+
+const readLines = function readLines(sf) {
+	return new Promise((resolve) => {
+		sf.slice(0, (err, lines) => resolve(err ? [] : lines));
+	});
+};
+
 export default async function log(options = {}) {
 	prepareRun(schema, options);
 
 	const { line, category, follow } = options;
-	const { connection, targetName } = await prepareTarget(options);
+	const { connection, targetName, instance } = await prepareTarget(options);
 
 	const state = await connection.getState();
 	if (!state) {
@@ -44,5 +68,25 @@ export default async function log(options = {}) {
 		}
 		logger.warn('Log file NOT found');
 	});
-	sf[mode](-line).pipe(process.stdout);
+
+	if (isUndefined(instance)) {
+		sf[mode](-line).pipe(process.stdout);
+		return;
+	}
+
+	// filter before taking the last lines, otherwise there would be fewer
+	// than `line` lines
+	const isMatched = createInstanceMatcher(state);
+	const lines = await readLines(sf);
+	const matchedLines = lines
+		.map((text) => text.toString())
+		.filter(isMatched)
+		.slice(-line);
+	process.stdout.write(matchedLines.join(''));
+
+	if (follow) {
+		sf.follow(lines.length)
+			.pipe(createInstanceFilter(isMatched))
+			.pipe(process.stdout);
+	}
 }
@@ -0,0 +1,37 @@
+import { logger } from 'pot-logger';
+import { prepareRun, prepareTarget } from '../utils/PrepareCli';
+import { pause as pauseSchema, resume as resumeSchema } from '../Schemas/cli';
+
+export const pause = async function pause(options = {}) {
+	prepareRun(pauseSchema, options);
+
+	const { connection, targetName } = await prepareTarget(options);
+	const { instance } = options;
+	const { ok, paused, errors } = await connection.pause({ instance });
+
+	paused.forEach(({ displayName }) => {
+		logger.info(`"${displayName}" paused`);
+	});
+
+	if (!ok) {
+		errors.forEach((error) => logger.error(error.message));
+		throw new Error(`Failed to pause "${targetName}"`);
+	}
+};
+
+export const resume = async function resume(options = {}) {
+	prepareRun(resumeSchema, options);
+
+	const { connection, targetName } = await prepareTarget(options);
+	const { instance } = options;
+	const { ok, resumed, errors } = await connection.resume({ instance });
+
+	resumed.forEach(({ displayName }) => {
+		logger.info(`"${displayName}" resumed`);
+	});
+
+	if (!ok) {
+		errors.forEach((error) => logger.error(error.message));
+		throw new Error(`Failed to resume "${targetName}"`);
+	}
+};
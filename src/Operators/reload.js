@@ -1,10 +1,20 @@
 import { logger } from 'pot-logger';
 import Connection from '../Connection';
-import { prepareRun, prepareTarget } from '../utils/PrepareCli';
+import {
+	prepareRun,
+	prepareTarget,
+	getConfigTargetNames,
+} from '../utils/PrepareCli';
 import { reload as schema } from '../Schemas/cli';
 
 export const reload = async function reload(options = {}) {
 	prepareRun(schema, options);
+
+	const names = await getConfigTargetNames(options);
+	if (names) {
+		return Promise.all(names.map(async (name) => reload({ ...options, name })));
+	}
+
 	const connectionOptions = { keepAlive: true };
 	const { connection, targetName } = await prepareTarget(
 		options,
@@ -1,12 +1,25 @@
 import { logger } from 'pot-logger';
 import Connection from '../Connection';
-import { prepareRun, prepareTarget } from '../utils/PrepareCli';
+import {
+	prepareRun,
+	prepareTarget,
+	getConfigTargetNames,
+} from '../utils/PrepareCli';
 import { restart as schema } from '../Schemas/cli';
 
 export const restart = async function restart(options = {}) {
 	prepareRun(schema, options);
+
+	const names = await getConfigTargetNames(options);
+	if (names) {
+		return Promise.all(
+			names.map(async (name) => restart({ ...options, name })),
+		);
+	}
+
 	const { connection, targetName } = await prepareTarget(options);
-	const ok = await connection.restart();
+	const { signal, timeout } = options;
+	const ok = await connection.restart({ signal, timeout });
 	if (ok) logger.info(`"${targetName}" restarted`);
 	else logger.error(`Failed to restart "${targetName}"`);
 };
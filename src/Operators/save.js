@@ -0,0 +1,81 @@
+import { logger } from 'pot-logger';
+import { readJson, writeJson } from 'fs-extra';
+import { pick } from 'lodash';
+import { resolve } from 'path';
+import { prepareRun } from '../utils/PrepareCli';
+import workspace from '../utils/workspace';
+import resolveConfig from '../utils/resolveConfig';
+import ensureName from '../utils/ensureName';
+import Connection from '../Connection';
+import exec from '../exec';
+import configSchema from '../Schemas/config';
+import {
+	save as saveSchema,
+	resurrect as resurrectSchema,
+} from '../Schemas/cli';
+
+// runtime or CLI only props which should not be restored
+const omittedKeys = ['apps', 'config', 'force'];
+
+const optionKeys = Object.keys(configSchema.properties).filter(
+	(key) => !~omittedKeys.indexOf(key),
+);
+
+export const save = async function save(options = {}) {
+	prepareRun(saveSchema, options);
+
+	const names = await Connection.getNames();
+	const apps = [];
+	for (const name of names) {
+		const connection = await Connection.getByName(name);
+		if (!connection) continue;
+		const { length: instances } = connection.instances;
+		const state = await connection.getState();
+		apps.push({ ...pick(state, optionKeys), instances });
+	}
+
+	const snapshotFile = await workspace.getSnapshotFile();
+	await writeJson(snapshotFile, { apps }, { spaces: 2 });
+	logger.info(`Saved ${apps.length} process(es) to "${snapshotFile}"`);
+};
+
+const getSavedApps = async function getSavedApps() {
+	const snapshotFile = await workspace.getSnapshotFile();
+	const { apps = [] } = await readJson(snapshotFile).catch(() => {
+		throw new Error(`No saved processes found in "${snapshotFile}"`);
+	});
+	return apps;
+};
+
+const getConfigApps = function getConfigApps(configFile) {
+	const { apps, ...app } = resolveConfig({ config: configFile }, 'config');
+	return (apps || [app]).map((target) =>
+		ensureName({ ...target, cwd: resolve(target.cwd || process.cwd()) }),
+	);
+};
+
+export const resurrect = async function resurrect(options = {}) {
+	prepareRun(resurrectSchema, options);
+
+	const { config: configFile } = options;
+	const apps = configFile ? getConfigApps(configFile) : await getSavedApps();
+
+	for (const app of apps) {
+		const { name } = app;
+		const connection = await Connection.getByName(name);
+		if (connection) {
+			await connection.disconnect();
+			logger.warn(`"${name}" is running, skipped`);
+			continue;
+		}
+
+		try {
+			await exec({ ...app, daemon: true });
+			logger.info(`"${name}" resurrected`);
+		}
+		catch (err) {
+			logger.error(`Failed to resurrect "${name}"`);
+			logger.error(err.message);
+		}
+	}
+};
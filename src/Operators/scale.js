@@ -33,7 +33,11 @@ export default async function scale(options = {}) {
 		message: 'Please input instances count (Integer)',
 		errorMessage,
 	});
-	const { ok, added, removed, errors } = await connection.scale(instances);
+	const { signal, timeout } = options;
+	const { ok, added, removed, errors } = await connection.scale(instances, {
+		signal,
+		timeout,
+	});
 
 	if (errors && errors.length) {
 		const { length } = errors;
@@ -0,0 +1,35 @@
+import { logger } from 'pot-logger';
+import { prepareRun, prepareTarget, ensureArg } from '../utils/PrepareCli';
+import { send as schema } from '../Schemas/cli';
+import parseJsonArg from '../utils/parseJsonArg';
+
+export default async function send(options = {}) {
+	prepareRun(schema, options);
+
+	const { connection, targetName } = await prepareTarget(options);
+	const message = await ensureArg({
+		type: 'input',
+		value: options.message,
+		message: 'Please input the message (JSON)',
+	});
+	const { instance, reply, timeout } = options;
+	const { ok, sent, errors } = await connection.send(parseJsonArg(message), {
+		instance,
+		reply,
+		timeout,
+	});
+
+	sent.forEach(({ displayName, reply: replied }) => {
+		if (reply) {
+			logger.info(`"${displayName}" replied`, JSON.stringify(replied));
+		}
+		else {
+			logger.info(`"${displayName}" sent`);
+		}
+	});
+
+	if (!ok) {
+		errors.forEach((error) => logger.error(error.message));
+		throw new Error(`Failed to send message to "${targetName}"`);
+	}
+}
@@ -1,6 +1,6 @@
 import { logger } from 'pot-logger';
 import createTable from '../utils/createTable';
-import { isObject, isBoolean } from 'lodash';
+import { isObject, isBoolean, isNil } from 'lodash';
 import chalk from 'chalk';
 import { prepareRun, prepareTarget } from '../utils/PrepareCli';
 import { show as schema } from '../Schemas/cli';
@@ -11,7 +11,16 @@ const defaultCells = [
 	['instance', (state) => state.instanceId],
 	['started', (state) => state.monitor.startedLocal],
 	['status', (state) => state.monitor.status],
+	['health', (state) => state.monitor.health || '-'],
 	['crashes', (state) => state.monitor.crashes],
+	[
+		'exit',
+		(state) => {
+			const { exitCode, exitSignal } = state.monitor;
+			if (exitSignal) return exitSignal;
+			return isNil(exitCode) ? '-' : exitCode;
+		},
+	],
 	['entry', (state) => state.entry],
 	['args', (state) => state.args],
 	['execPath', (state) => state.execPath],
@@ -24,6 +33,66 @@ const defaultCells = [
 	['logsDir', (state) => state.logsDir],
 	['watch', (state) => state.watch.enable],
 	['maxRestarts', (state) => state.maxRestarts],
+	[
+		'nextCronRestart',
+		(state) => {
+			const { nextCronRestart } = state.monitor;
+			return nextCronRestart ? new Date(nextCronRestart).toLocaleString() : '-';
+		},
+	],
+	['schedule', (state) => state.schedule || '-'],
+	[
+		'nextRun',
+		(state) => {
+			const { nextRun } = state.monitor;
+			return nextRun ? new Date(nextRun).toLocaleString() : '-';
+		},
+	],
+	[
+		'runs',
+		(state) => {
+			const { runs = [] } = state.monitor;
+			if (!runs.length) return '-';
+			return runs
+				.map(({ started, duration, exitCode, exitSignal }) => {
+					const time = new Date(started).toLocaleString();
+					const seconds = (duration / 1000).toFixed(1);
+					const exit = exitSignal || `exit ${exitCode}`;
+					return `${time}  ${seconds}s  ${exit}`;
+				})
+				.join('\n');
+		},
+	],
+	[
+		'autoscale',
+		(state) => {
+			const { autoscale } = state;
+			if (!autoscale) return '-';
+			const { min, max, metric } = autoscale;
+			const { target } = state.monitor.autoscale || {};
+			const range = `${min}-${max} by ${metric}`;
+			return target ? `${target} instances (${range})` : range;
+		},
+	],
+	[
+		'lastScale',
+		(state) => {
+			const { reason, time } = state.monitor.autoscale || {};
+			if (!reason) return '-';
+			return `${reason} (${new Date(time).toLocaleString()})`;
+		},
+	],
+	[
+		'lastRecycle',
+		(state) => {
+			const { lastRecycle } = state.monitor;
+			if (!lastRecycle) return '-';
+			const time = new Date(lastRecycle.time).toLocaleString();
+			return `${lastRecycle.reason} (${time})`;
+		},
+	],
+	['port', (state) => state.monitor.port],
+	['metrics', (state) => state.monitor.metrics],
 	['pid', (state) => state.pid],
 	['ppid', (state) => state.ppid],
 	['memory', (state) => state.memoryUsage.styled],
@@ -0,0 +1,46 @@
+import { logger } from 'pot-logger';
+import { prepareRun, prepareTarget, ensureArg } from '../utils/PrepareCli';
+import { signal as schema } from '../Schemas/cli';
+import { constants } from 'os';
+import chalk from 'chalk';
+
+// `usr2` -> `SIGUSR2`
+const ensureSignalName = function ensureSignalName(signal) {
+	const name = `${signal}`.toUpperCase();
+	return /^SIG/.test(name) ? name : `SIG${name}`;
+};
+
+export default async function signal(options = {}) {
+	prepareRun(schema, options);
+
+	const { connection, targetName } = await prepareTarget(options);
+	const signalName = ensureSignalName(
+		await ensureArg({
+			value: options.signal,
+			message: 'Please select the signal',
+			errorMessage: 'No signal',
+			getChoices: async () => Object.keys(constants.signals),
+		}),
+	);
+
+	if (!constants.signals[signalName]) {
+		await connection.disconnect();
+		throw new Error(`Invalid signal "${options.signal}"`);
+	}
+
+	const { instance } = options;
+	const { ok, signaled, errors } = await connection.signal(signalName, {
+		instance,
+	});
+
+	signaled.forEach(({ displayName, pid }) => {
+		logger.info(
+			`"${displayName}" ${chalk.gray(`(${pid})`)} received ${signalName}`,
+		);
+	});
+
+	if (!ok) {
+		errors.forEach((error) => logger.error(error.message));
+		throw new Error(`Failed to send ${signalName} to "${targetName}"`);
+	}
+}
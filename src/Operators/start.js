@@ -2,8 +2,10 @@ import exec from '../exec';
 import logger from 'pot-logger';
 import chalk from 'chalk';
 import { basename } from 'path';
+import schema from '../Schemas/config';
+import validateBySchema from '../utils/validateBySchema';
 
-export default async function start(options = {}) {
+const startApp = async function startApp(options) {
 	const { daemon } = options;
 	await exec(options);
 	if (daemon) {
@@ -24,4 +26,26 @@ export default async function start(options = {}) {
 		logger.info(chalk.gray(`To shut down, run \`${command} stop ${name}\``));
 		console.log();
 	}
+};
+
+export default async function start(options = {}) {
+	const { apps, entry, name, $0 } = options;
+
+	// start all apps defined in config file if `entry` is not provided
+	if (Array.isArray(apps) && !entry) {
+		const targets = name ? apps.filter((app) => app.name === name) : apps;
+		if (!targets.length) {
+			throw new Error(`"${name}" NOT found in config file`);
+		}
+
+		// validate all apps before starting any of them
+		targets.forEach((app) => validateBySchema(schema, app));
+
+		for (const app of targets) {
+			await startApp({ $0, ...app });
+		}
+		return;
+	}
+
+	return startApp(options);
 }
@@ -0,0 +1,94 @@
+import { logger } from 'pot-logger';
+import { writeFile, ensureDir } from 'fs-extra';
+import { join, resolve, dirname } from 'path';
+import { realpathSync } from 'fs';
+import { userInfo } from 'os';
+import { execFileSync } from 'child_process';
+import homeOrTmp from 'home-or-tmp';
+import chalk from 'chalk';
+import { prepareRun } from '../utils/PrepareCli';
+import workspace from '../utils/workspace';
+import getSystemdUnit from '../utils/getSystemdUnit';
+import { startup as schema } from '../Schemas/cli';
+
+const getUnitDir = function getUnitDir(userMode) {
+	return userMode ?
+		join(homeOrTmp, '.config', 'systemd', 'user') :
+		'/etc/systemd/system';
+};
+
+// the user who runs `sudo pot startup`, instead of `root`
+const getInvokingUser = function getInvokingUser() {
+	const { SUDO_USER } = process.env;
+	if (!SUDO_USER || SUDO_USER === 'root') {
+		return { username: userInfo().username, home: homeOrTmp };
+	}
+
+	let home = join('/home', SUDO_USER);
+	try {
+		const entry = execFileSync('getent', ['passwd', SUDO_USER]);
+		home =
+			entry
+				.toString()
+				.trim()
+				.split(':')[5] || home;
+	}
+	catch (err) {
+		logger.debug(err);
+	}
+	return { username: SUDO_USER, home };
+};
+
+export default async function startup(options = {}) {
+	prepareRun(schema, options);
+
+	const { user: userMode, print, config } = options;
+	const space = workspace.getName();
+	const configFile = config && resolve(config);
+	const unitName = `pot-${space}.service`;
+	const { username, home } = getInvokingUser();
+
+	const unit = getSystemdUnit({
+		workspace: space,
+		execPath: process.execPath,
+		command: realpathSync(process.argv[1]),
+		cwd: configFile ? dirname(configFile) : process.cwd(),
+		env: { PATH: process.env.PATH, HOME: home },
+		configFile,
+		user: username,
+		userMode,
+	});
+
+	if (print) {
+		console.log(unit);
+		return;
+	}
+
+	const unitDir = getUnitDir(userMode);
+	const unitFile = join(unitDir, unitName);
+	try {
+		await ensureDir(unitDir);
+		await writeFile(unitFile, unit);
+	}
+	catch (err) {
+		if (err.code === 'EACCES') {
+			const hint = 'Try running with `sudo`, or use `--user`';
+			throw new Error(`Permission denied to write "${unitFile}". ${hint}`);
+		}
+		throw err;
+	}
+
+	const systemctl = userMode ? 'systemctl --user' : 'systemctl';
+	const enableCommand = `${systemctl} enable ${unitName}`;
+	logger.info(`Unit file saved to "${unitFile}"`);
+	logger.info(
+		chalk.gray(
+			`To enable it, run \`${systemctl} daemon-reload && ${enableCommand}\``,
+		),
+	);
+	if (!configFile) {
+		logger.info(
+			chalk.gray('Remember to run `pot save` to save the processes to start'),
+		);
+	}
+}
@@ -1,30 +1,47 @@
 import { logger } from 'pot-logger';
-import { prepareRun, prepareTarget } from '../utils/PrepareCli';
+import {
+	prepareRun,
+	prepareTarget,
+	getConfigTargetNames,
+} from '../utils/PrepareCli';
 import Connection from '../Connection';
 import inquirer from 'inquirer';
 import { stop as schema } from '../Schemas/cli';
 
+const confirm = async function confirm(names) {
+	const targets = names.map((name) => `"${name}"`).join(', ');
+	const confirmed = await inquirer.prompt({
+		type: 'confirm',
+		name: 'yes',
+		message: `Are you sure to stop ${targets}?`,
+		default: false,
+	});
+	if (!confirmed.yes) logger.warn('Canceled');
+	return confirmed.yes;
+};
+
 export const stop = async function stop(options = {}) {
 	prepareRun(schema, options);
+
+	// confirm once for all apps of the config file
+	const names = await getConfigTargetNames(options);
+	if (names) {
+		if (!names.length) return;
+		if (!options.force && !(await confirm(names))) return;
+		return Promise.all(
+			names.map(async (name) => stop({ ...options, name, force: true })),
+		);
+	}
+
 	const { connection, targetName } = await prepareTarget(options);
-	const { force } = options;
-
-	if (!force) {
-		const confirmed = await inquirer.prompt({
-			type: 'confirm',
-			name: 'yes',
-			message: `Are you sure to stop "${targetName}"?`,
-			default: false,
-		});
-
-		if (!confirmed.yes) {
-			await connection.disconnect();
-			logger.warn('Canceled');
-			return;
-		}
+	const { force, signal, timeout } = options;
+
+	if (!force && !(await confirm([targetName]))) {
+		await connection.disconnect();
+		return;
 	}
 
-	return connection.requestStopServer({ shouldLog: true });
+	return connection.requestStopServer({ shouldLog: true, signal, timeout });
 };
 
 export const stopAll = async function stopAll(options = {}) {
@@ -6,7 +6,24 @@ const logLevel = cloneDeep(properties.logLevel);
 const workspace = cloneDeep(properties.workspace);
 const name = cloneDeep(properties.name);
 const instances = omit(properties.instances, ['default']);
+const config = {
+	...omit(properties.config, ['default']),
+	description: 'Path to the config file. Target the apps defined in it',
+};
 const cells = { type: 'array', hidden: true };
+const instance = {
+	description: 'Instance id. Apply to all instances if not set',
+	type: 'number',
+};
+const killSignal = {
+	...omit(properties.killSignal, ['default']),
+	description: 'Signal to send to the process. Defaults to `killSignal`',
+};
+const killTimeout = {
+	...omit(properties.killTimeout, ['default']),
+	description:
+		'Timeout in milliseconds to force kill the process. Defaults to `killTimeout`',
+};
 
 export { start };
 
@@ -17,26 +34,34 @@ export const stop = {
 			description: 'Stop without confirming',
 			type: 'boolean',
 		},
+		config,
+		instance,
 		logLevel,
 		name,
+		signal: killSignal,
+		timeout: killTimeout,
 		workspace,
 	},
 };
 
 export const stopAll = {
-	properties: omit(stop.properties, ['name']),
+	properties: omit(stop.properties, ['name', 'config', 'instance']),
 };
 
 export const restart = {
 	properties: {
+		config,
+		instance,
 		logLevel,
 		name,
+		signal: killSignal,
+		timeout: killTimeout,
 		workspace,
 	},
 };
 
 export const restartAll = {
-	properties: omit(restart.properties, ['name']),
+	properties: omit(restart.properties, ['name', 'config', 'instance']),
 };
 
 export const reload = {
@@ -51,7 +76,7 @@ export const reload = {
 };
 
 export const reloadAll = {
-	properties: omit(reload.properties, ['name']),
+	properties: omit(reload.properties, ['name', 'config', 'instance']),
 };
 
 export const scale = {
@@ -59,6 +84,123 @@ export const scale = {
 		instances,
 		logLevel,
 		name,
+		signal: killSignal,
+		timeout: killTimeout,
+		workspace,
+	},
+};
+
+export const signal = {
+	properties: {
+		instance,
+		logLevel,
+		name,
+		signal: {
+			description: 'Signal to send, i.e. `SIGUSR2` or `usr2`',
+			type: 'string',
+		},
+		workspace,
+	},
+};
+
+export const pause = {
+	properties: {
+		instance,
+		logLevel,
+		name,
+		workspace,
+	},
+};
+
+export const resume = pause;
+
+export const send = {
+	properties: {
+		instance,
+		logLevel,
+		message: {
+			description: 'Message to send. It will be parsed if it is a JSON string',
+			type: 'string',
+		},
+		name,
+		reply: {
+			description: 'Wait for the replies',
+			type: 'boolean',
+		},
+		timeout: {
+			description: 'Timeout in milliseconds to wait for the replies',
+			type: 'number',
+			minimum: 0,
+			default: 5000,
+		},
+		workspace,
+	},
+};
+
+export const action = {
+	properties: {
+		action: {
+			description: 'Action to run. Lists the registered actions if omitted',
+			type: 'string',
+		},
+		instance,
+		logLevel,
+		name,
+		params: {
+			description: 'Action params. It will be parsed if it is a JSON string',
+			type: 'string',
+		},
+		timeout: {
+			description: 'Timeout in milliseconds to wait for the results',
+			type: 'number',
+			minimum: 0,
+			default: 30000,
+		},
+		workspace,
+	},
+};
+
+export const save = {
+	properties: {
+		logLevel,
+		workspace,
+	},
+};
+
+export const resurrect = {
+	properties: {
+		config: {
+			...config,
+			description:
+				'Path to the config file. Start the apps defined in it instead of the saved ones',
+		},
+		logLevel,
+		workspace,
+	},
+};
+
+export const startup = {
+	properties: {
+		config: {
+			...config,
+			description:
+				'Path to the config file. Start the apps defined in it instead of the saved ones',
+		},
+		logLevel,
+		platform: {
+			description: 'Init system',
+			type: 'string',
+			enum: ['systemd'],
+			default: 'systemd',
+		},
+		print: {
+			description: 'Print the unit file instead of installing it',
+			type: 'boolean',
+		},
+		user: {
+			description: 'Install as a user service',
+			type: 'boolean',
+		},
 		workspace,
 	},
 };
@@ -74,6 +216,7 @@ export const list = {
 export const show = {
 	properties: {
 		cells,
+		instance,
 		logLevel,
 		name,
 		workspace,
@@ -97,11 +240,46 @@ export const log = {
 			type: 'number',
 			default: 200,
 		},
+		instance,
 		logLevel,
 		name,
 		workspace,
 	},
 };
 
-export const flush = restart;
-export const flushAll = restartAll;
+export const crashes = {
+	properties: {
+		last: {
+			description: 'Show the last N crash reports',
+			type: 'number',
+			minimum: 1,
+			default: 5,
+		},
+		logLevel,
+		name,
+		workspace,
+	},
+};
+
+export const doctor = {
+	properties: {
+		fix: {
+			description: 'Fix the problems automatically',
+			type: 'boolean',
+		},
+		logLevel,
+		workspace,
+	},
+};
+
+export const flush = {
+	properties: omit(restart.properties, [
+		'config',
+		'instance',
+		'signal',
+		'timeout',
+	]),
+};
+export const flushAll = {
+	properties: omit(flush.properties, ['name']),
+};
@@ -1,9 +1,27 @@
-import { EventTypes } from '../utils/respawn';
+import EventTypes from '../utils/EventTypes';
 import { reduce } from 'lodash';
+import { constants } from 'os';
+
+const durationPattern = '^\\d+(\\.\\d+)?\\s*(ms|s|m|h|d|MS|S|M|H|D)?$';
 
 export default {
 	$schema: 'http://json-schema.org/draft-07/schema#',
 	properties: {
+		allowOverlap: {
+			description:
+				'Allow a scheduled run to start even if the previous run has not finished yet. Only works with `schedule`',
+			type: 'boolean',
+			default: false,
+		},
+		apps: {
+			description:
+				'Apps to start from one config file. Other props of the config file will be used as defaults of each app',
+			type: 'array',
+			items: {
+				type: 'object',
+			},
+			hidden: true,
+		},
 		args: {
 			description: 'List of string arguments',
 			anyOf: [
@@ -19,6 +37,72 @@ export default {
 			],
 			default: [],
 		},
+		autoscale: {
+			description:
+				'Scale instances between `min` and `max` automatically by the average CPU or memory usage',
+			type: 'object',
+			properties: {
+				min: {
+					description: 'Minimum instances',
+					type: 'integer',
+					minimum: 1,
+					default: 1,
+				},
+				max: {
+					description: 'Maximum instances',
+					type: 'integer',
+					minimum: 1,
+					maximum: 50,
+				},
+				metric: {
+					description: 'Usage metric to scale by',
+					type: 'string',
+					enum: ['cpu', 'memory'],
+					default: 'cpu',
+				},
+				target: {
+					description:
+						'Target average usage of each instance. CPU percentage for `cpu` metric, or bytes (i.e. `256M`) for `memory` metric',
+					anyOf: [
+						{
+							type: 'number',
+							minimum: 0,
+						},
+						{
+							type: 'string',
+							pattern: '^\\d+(\\.\\d+)?\\s*[bkmgtBKMGT]?[bB]?$',
+						},
+					],
+				},
+				interval: {
+					description: 'Sampling interval in milliseconds',
+					type: 'number',
+					minimum: 0,
+					default: 10000,
+				},
+				cooldown: {
+					description:
+						'Minimum milliseconds between two scalings, to avoid flapping',
+					type: 'number',
+					minimum: 0,
+					default: 60000,
+				},
+			},
+			required: ['max', 'target'],
+		},
+		autorestart: {
+			description:
+				'Restart the process after it exits. `on-failure` to restart only if it exits with a non-zero code',
+			anyOf: [
+				{
+					type: 'boolean',
+				},
+				{
+					enum: ['on-failure'],
+				},
+			],
+			default: true,
+		},
 		baseDir: {
 			description: 'The base directory for resolving modules or directories',
 			type: 'string',
@@ -35,6 +119,17 @@ export default {
 			default: '.potrc',
 			anyOf: [{ type: 'string' }, { type: 'boolean' }],
 		},
+		crashReportLines: {
+			description:
+				'Max lines of the tail of stdout and stderr to keep in crash reports',
+			type: 'number',
+			default: 50,
+		},
+		cronRestart: {
+			description:
+				'Cron expression to restart all instances one by one on schedule, i.e. `0 3 * * *`',
+			type: 'string',
+		},
 		cwd: {
 			description: 'Current working directory',
 			type: 'string',
@@ -95,6 +190,64 @@ export default {
 			description: 'Enforce restart even if the process is exists',
 			type: 'boolean',
 		},
+		healthCheck: {
+			description:
+				'Health check. Instances failing it will be restarted automatically',
+			type: 'object',
+			properties: {
+				url: {
+					description:
+						'URL to send HTTP GET request to. Responding status code >= 400 counts as a failure. `$PORT` will be replaced with the port of each instance',
+					type: 'string',
+				},
+				port: {
+					description:
+						'TCP port to connect to. `$PORT` for the port of each instance',
+					anyOf: [{ type: 'number' }, { enum: ['$PORT'] }],
+				},
+				host: {
+					description: 'TCP host to connect to',
+					type: 'string',
+					default: 'localhost',
+				},
+				command: {
+					description:
+						'Shell command to run. Exiting with non-zero code counts as a failure. `$PORT` will be replaced with the port of each instance',
+					type: 'string',
+				},
+				interval: {
+					description: 'Check interval in milliseconds',
+					type: 'number',
+					minimum: 0,
+					default: 10000,
+				},
+				timeout: {
+					description: 'Timeout of each check in milliseconds',
+					type: 'number',
+					minimum: 0,
+					default: 5000,
+				},
+				threshold: {
+					description:
+						'How many consecutive failures before treating as unhealthy',
+					type: 'number',
+					minimum: 1,
+					default: 3,
+				},
+				gracePeriod: {
+					description:
+						'Skip checking within this milliseconds after the instance started',
+					type: 'number',
+					minimum: 0,
+					default: 10000,
+				},
+			},
+			anyOf: [
+				{ required: ['url'] },
+				{ required: ['port'] },
+				{ required: ['command'] },
+			],
+		},
 		inspect: {
 			description: 'Enable inspector. Require Node.js >= v6.3.0',
 			anyOf: [
@@ -125,6 +278,23 @@ export default {
 			type: 'number',
 			maximum: 50,
 		},
+		interpreter: {
+			description:
+				'Interpreter to run the entry file, i.e. `python3`. `node` for Node.js, `none` for executing the entry file directly. If not set, it will be detected from `execPath`, the file extension or shebang',
+			type: 'string',
+		},
+		killSignal: {
+			description: 'Signal to send to the process when stopping',
+			enum: Object.keys(constants.signals),
+			default: 'SIGTERM',
+		},
+		killTimeout: {
+			description:
+				'Timeout in milliseconds to force kill the process with `SIGKILL` after sending `killSignal`',
+			type: 'number',
+			minimum: 0,
+			default: 30000,
+		},
 		logLevel: {
 			alias: 'l',
 			description: 'Log level',
@@ -142,10 +312,53 @@ export default {
 			],
 		},
 		maxRestarts: {
-			description: 'How many restarts are allowed within 60s',
+			description:
+				'How many restarts are allowed within `restartPolicy.window`. `-1` for infinite',
 			type: 'number',
 			minimum: -1,
 		},
+		maxMemory: {
+			description:
+				'Restart the instance gracefully if its memory usage exceeds this limit, i.e. `512M`',
+			anyOf: [
+				{
+					type: 'number',
+					minimum: 1,
+				},
+				{
+					type: 'string',
+					pattern: '^\\d+(\\.\\d+)?\\s*[bkmgtBKMGT]?[bB]?$',
+				},
+			],
+		},
+		maxUptime: {
+			description:
+				'Recycle (restart) the instance gracefully after it has run this long, i.e. `6h`',
+			anyOf: [
+				{
+					type: 'number',
+					minimum: 1,
+				},
+				{
+					type: 'string',
+					pattern: durationPattern,
+				},
+			],
+		},
+		maxRestartsJitter: {
+			description:
+				'Maximum random duration to recycle the instance earlier than `maxUptime`, to spread the recycles of instances, i.e. `10m`',
+			anyOf: [
+				{
+					type: 'number',
+					minimum: 0,
+				},
+				{
+					type: 'string',
+					pattern: durationPattern,
+				},
+			],
+		},
 		monitorProcessTitle: {
 			description: 'Monitor process title',
 			type: 'string',
@@ -155,6 +368,20 @@ export default {
 			type: 'string',
 			description: 'Process name. Shoule be unique',
 		},
+		port: {
+			description:
+				'Port for each instance, passed to the instance as `PORT` env var. If it is a number, the instance will get `port + NODE_APP_INSTANCE`. If it is `auto`, a free port will be assigned',
+			anyOf: [
+				{
+					type: 'number',
+					minimum: 1,
+					maximum: 65535,
+				},
+				{
+					enum: ['auto'],
+				},
+			],
+		},
 		production: {
 			alias: 'p',
 			description:
@@ -162,6 +389,92 @@ export default {
 			type: 'boolean',
 			default: true,
 		},
+		readyTimeout: {
+			description:
+				'Timeout in milliseconds to wait for the "ready" message in `waitReady` mode',
+			type: 'number',
+			minimum: 0,
+			default: 30000,
+		},
+		restartPolicy: {
+			description: 'Restart backoff policy',
+			type: 'object',
+			properties: {
+				type: {
+					description: 'Backoff type',
+					enum: ['fixed', 'linear', 'exponential'],
+					default: 'fixed',
+				},
+				minDelay: {
+					description: 'Restart delay (of the first attempt) in milliseconds',
+					type: 'number',
+					minimum: 0,
+					default: 1000,
+				},
+				maxDelay: {
+					description: 'Max restart delay in milliseconds',
+					type: 'number',
+					minimum: 0,
+					default: 60000,
+				},
+				jitter: {
+					description:
+						'Randomize the delay by this ratio, i.e. `0.1` means +/- 10%',
+					type: 'number',
+					minimum: 0,
+					maximum: 1,
+					default: 0,
+				},
+				window: {
+					description:
+						'Length of the window in milliseconds for counting restarts',
+					type: 'number',
+					minimum: 0,
+					default: 60000,
+				},
+				resetAfter: {
+					description:
+						'Reset the restart attempts after running stably for this milliseconds. `0` to disable',
+					type: 'number',
+					minimum: 0,
+					default: 0,
+				},
+			},
+			default: {},
+		},
+		runHistorySize: {
+			description:
+				'How many runs to keep in history. Only works with `schedule`',
+			type: 'integer',
+			minimum: 0,
+			default: 10,
+		},
+		schedule: {
+			description:
+				'Cron expression to run the entry on schedule as a job, i.e. `0 3 * * *`. The entry will not be spawned until the schedule fires',
+			type: 'string',
+		},
+		stopExitCodes: {
+			description:
+				'Exit codes which are treated as completed, the process would not be restarted after exiting with them',
+			type: 'array',
+			items: {
+				type: 'integer',
+			},
+			default: [],
+		},
+		supervisor: {
+			description:
+				'Start the monitor by the supervisor daemon of the workspace, which restarts the monitor if it dies. Only works in daemon mode',
+			type: 'boolean',
+			default: false,
+		},
+		waitReady: {
+			description:
+				'Wait for the process calling `process.send("ready")` before it counts as started',
+			type: 'boolean',
+			default: false,
+		},
 		watch: {
 			alias: 'w',
 			description: 'Enable watch mode',
@@ -1,12 +1,17 @@
-import { fork } from 'child_process';
-import { resolve } from 'path';
+import { resolve, basename } from 'path';
 import { ensureDir } from 'fs-extra';
-import isWin from './utils/isWin';
+import { statSync, accessSync, constants } from 'fs';
+import ensureName from './utils/ensureName';
+import getNextCronDate from './utils/getNextCronDate';
+import getInterpreter from './utils/getInterpreter';
 import { prepareRun } from './utils/PrepareCli';
 import workspace from './utils/workspace';
+import { forkMonitor, startMonitor } from './utils/MonitorHelpers';
+import { ensureSupervisor } from './utils/SupervisorHelpers';
+import { SUPERVISE } from './utils/SocketEventTypes';
 import schema from './Schemas/config';
 import { logger } from 'pot-logger';
-import { isNumber, isObject, isUndefined, noop } from 'lodash';
+import { isObject, isUndefined, noop } from 'lodash';
 import chalk from 'chalk';
 import Connection from './Connection';
 import onExit from 'signal-exit';
@@ -16,29 +21,6 @@ import AggregateError from 'aggregate-error';
 
 const potjs = { version };
 
-const ensureName = (options) => {
-	if (options.name) {
-		if (isNumber(options.name)) {
-			options.name += '';
-		}
-		return options;
-	}
-
-	const { cwd } = options;
-
-	try {
-		const { name } = require(resolve(cwd, 'package.json'));
-		if (!name) {
-			throw new Error();
-		}
-		options.name = name;
-	}
-	catch (err) {
-		const sepRegExp = new RegExp(isWin ? '\\\\' : '/', 'g');
-		options.name = cwd.replace(sepRegExp, '_');
-	}
-};
-
 const ensureWatch = (options) => {
 	if (!options.watch) {
 		options.watch = { enable: false };
@@ -94,46 +76,103 @@ const ensureOptions = async (options = {}) => {
 	if (isUndefined(options.maxRestarts)) {
 		options.maxRestarts = options.production ? -1 : 0;
 	}
+	if (options.cronRestart) {
+		// throw error if `cronRestart` is invalid
+		getNextCronDate(options.cronRestart);
+	}
+	if (options.schedule) {
+		// throw error if `schedule` is invalid
+		getNextCronDate(options.schedule);
+	}
 	ensureWatch(options);
 	return options;
 };
 
-const startMonitorProc = ({ cwd, daemon, env, name }) => {
-	const scriptFile = resolve(__dirname, '../bin/monitor');
-	const stdio = daemon ? 'ignore' : 'inherit';
-	const proc = fork(scriptFile, [], {
-		stdio: ['ipc', stdio, stdio],
-		cwd,
-		env: {
-			...process.env,
-			...env,
-		},
+const stopByName = async (options) => {
+	const connection = await Connection.getByName(options.name, {
+		workspace: options.workspace,
 	});
+	if (connection) await connection.requestStopServer();
+};
 
+const startMonitorProc = (options) => {
+	const proc = forkMonitor(options);
 	proc.originalKill = proc.kill;
-	proc.kill = async () => {
-		const connection = await Connection.getByName(name);
-		if (connection) await connection.requestStopServer();
-	};
+	proc.kill = async () => stopByName(options);
 	return proc;
 };
 
+const isNodeExecPath = (execPath) => /\bnode\b/.test(basename(execPath));
+
+const ensureInterpreter = (options, entryFile) => {
+	const { interpreter, execPath } = options;
+	if (interpreter) return interpreter;
+
+	// use `execPath` as the interpreter if it is not node, i.e. `python3`
+	if (!isNodeExecPath(execPath)) return execPath;
+
+	return getInterpreter(entryFile);
+};
+
 /*
  * The final command components:
  * `{execPath} {...execArgs} {entry} {...args}`
+ *
+ * Or in non-node `interpreter` mode:
+ * `{interpreter} {...execArgs} {entry} {...args}`
+ *
+ * Or in `interpreter: "none"` mode:
+ * `{entry} {...args}`
  */
 const getSpawnArgs = (options) => {
 	const { baseDir, entry, execArgs, args, inspect } = options;
 
 	const entryFile = resolve(baseDir, entry);
+	const interpreter = ensureInterpreter(options, entryFile);
+	options.interpreter = interpreter;
+
+	let spawnArgs;
+
+	if (interpreter === 'node') {
+		// throw error if `entryFile` is not exits.
+		require.resolve(entryFile);
+
+		spawnArgs = [...execArgs, entryFile, ...args];
+		if (inspect) {
+			spawnArgs.unshift(`--inspect=${inspect}`);
+		}
+	}
+	else {
+		try {
+			if (!statSync(entryFile).isFile()) throw new Error();
+		}
+		catch (err) {
+			throw new Error(`Cannot find entry file "${entryFile}"`);
+		}
 
-	// throw error if `entryFile` is not exits.
-	require.resolve(entryFile);
+		// non-node programs could not be forked by `cluster`
+		options.cluster = false;
 
-	const spawnArgs = [...execArgs, entryFile, ...args];
-	if (inspect) {
-		spawnArgs.unshift(`--inspect=${inspect}`);
+		if (interpreter === 'none') {
+			try {
+				accessSync(entryFile, constants.X_OK);
+			}
+			catch (err) {
+				throw new Error(`"${entryFile}" is not executable`);
+			}
+			options.execPath = entryFile;
+			spawnArgs = [...args];
+		}
+		else {
+			const [command, ...interpreterArgs] =
+				interpreter === options.execPath ?
+					[interpreter] :
+					interpreter.split(/\s+/);
+			options.execPath = command;
+			spawnArgs = [...interpreterArgs, ...execArgs, entryFile, ...args];
+		}
 	}
+
 	logger.trace('spawn args', chalk.gray(spawnArgs.join(' ')));
 	return spawnArgs;
 };
@@ -141,49 +180,42 @@ const getSpawnArgs = (options) => {
 const connectMonitor = async (monitorProc, options) => {
 	const spawnArgs = getSpawnArgs(options);
 	const { daemon } = options;
-	const ppid = monitorProc.pid;
-	logger.debug('monitor pid', chalk.magenta(ppid));
+	logger.debug('monitor pid', chalk.magenta(monitorProc.pid));
 
-	return new Promise((resolve, reject) => {
-		const handleMonitorProcMessage = function handleMonitorProcMessage(msg) {
-			if (!isObject(msg)) return;
-
-			const { type, payload } = msg;
-
-			if (type === 'start') {
-				logger.trace('monitor started');
-				monitorProc.disconnect();
-				monitorProc.removeListener('message', handleMonitorProcMessage);
+	try {
+		await startMonitor(monitorProc, { ...options, spawnArgs, potjs });
+	}
+	catch (err) {
+		monitorProc.kill();
+		throw err;
+	}
 
-				if (daemon) {
-					monitorProc.unref();
-				}
+	logger.trace('monitor started');
+	monitorProc.disconnect();
 
-				resolve();
-			}
-			else if (type === 'error') {
-				monitorProc.kill();
-				const { errors } = payload;
-				reject(new AggregateError(errors));
-			}
-		};
-		monitorProc.on('message', handleMonitorProcMessage);
+	if (daemon) {
+		monitorProc.unref();
+	}
+};
 
-		monitorProc.once('error', (err) => {
-			monitorProc.kill();
-			reject(err);
+// start the monitor by the supervisor daemon of the workspace, which will
+// restart the monitor if it dies unexpectedly
+const superviseMonitor = async (options) => {
+	const spawnArgs = getSpawnArgs(options);
+	const supervisor = await ensureSupervisor();
+	try {
+		const { ok, errors, pid } = await supervisor.request(SUPERVISE, {
+			options: { ...options, spawnArgs, potjs },
+			env: process.env,
 		});
+		if (!ok) throw new AggregateError(errors);
 
-		monitorProc.send({
-			type: 'start',
-			payload: {
-				...options,
-				ppid,
-				spawnArgs,
-				potjs,
-			},
-		});
-	});
+		logger.debug('monitor pid', chalk.magenta(pid));
+		return { pid, kill: async () => stopByName(options) };
+	}
+	finally {
+		await supervisor.close();
+	}
 };
 
 export default async function run(options = {}) {
@@ -213,7 +245,9 @@ export default async function run(options = {}) {
 		}
 		logger.trace('logLevel', options.logLevel);
 
-		const connection = await Connection.getByName(name);
+		const connection = await Connection.getByName(name, {
+			workspace: options.workspace,
+		});
 
 		if (connection) {
 			if (force) {
@@ -225,6 +259,10 @@ export default async function run(options = {}) {
 			}
 		}
 
+		if (options.supervisor && options.daemon) {
+			return superviseMonitor(options);
+		}
+
 		monitorProc = startMonitorProc(options);
 		await connectMonitor(monitorProc, options);
 	}
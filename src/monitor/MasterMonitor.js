@@ -2,8 +2,13 @@ import { EventEmitter } from 'events';
 import { ensureLogger, logger, setLoggers } from 'pot-logger';
 import chalk from 'chalk';
 import delay from 'delay';
+import { noop, isObject } from 'lodash';
+import pidUsage from 'pidusage';
+import findPortSync from 'find-port-sync';
+import filesize from 'filesize';
 import Connection from '../Connection';
 import WorkerMonitor from './WorkerMonitor';
+import EventTypes from '../utils/EventTypes';
 import workspace from '../utils/workspace';
 import watch from '../utils/watch';
 import onSignalExit from '../utils/onSignalExit';
@@ -12,6 +17,11 @@ import { ENV_VAR_KEY } from '../utils/EnvVar';
 import getKey from '../utils/getKey';
 import Errors from '../utils/Errors';
 import ensureInstanceNumber from '../utils/ensureInstanceNumber';
+import { parseBytes, parseDuration } from '../utils/Units';
+import * as MessageTypes from '../utils/MessageTypes';
+import checkHealth, { withInstancePort } from '../utils/checkHealth';
+import { writeCrashReport } from '../utils/CrashReports';
+import getNextCronDate from '../utils/getNextCronDate';
 import { getPidFile, writePid, removePidFile } from '../utils/PidHelpers';
 import {
 	startServer,
@@ -19,11 +29,35 @@ import {
 	removeDomainSocketFile,
 } from '../utils/SocketsHelpers';
 
+const MEMORY_CHECK_INTERVAL = 10000;
+const UPTIME_CHECK_INTERVAL = 1000;
+
+// `setTimeout()` delay should not be larger than 2^31 - 1
+const MAX_TIMEOUT_DELAY = 2147483647;
+
 export default class MasterMonitor extends EventEmitter {
 
 	// will be set by server socket
 	currentWorkerMonitor = null;
 
+	nextCronRestart = null;
+
+	nextRun = null;
+
+	// the current target instances and the last scaling decision of `autoscale`
+	autoscale = null;
+
+	_lastScaled = 0;
+
+	// options for the next shut down of each worker monitor, like `signal`
+	_shutDownOptions = new WeakMap();
+
+	// max uptime of the current child process of each worker monitor, with
+	// `maxRestartsJitter` applied
+	_maxUptimes = new WeakMap();
+
+	_isRecycling = false;
+
 	constructor(options) {
 		super();
 
@@ -40,6 +74,15 @@ export default class MasterMonitor extends EventEmitter {
 			name,
 			events,
 			watch: watchOptions,
+			maxMemory,
+			maxUptime,
+			maxRestartsJitter,
+			healthCheck,
+			cronRestart,
+			schedule,
+			allowOverlap,
+			autoscale,
+			port,
 			...respawnOptions
 		} = options;
 
@@ -52,9 +95,12 @@ export default class MasterMonitor extends EventEmitter {
 		workspace.set(space);
 		process.title = monitorProcessTitle;
 
+		this._port = port;
+
 		this._workerMonitorOptions = {
 			stdio: 'pipe',
 			...respawnOptions,
+			schedule,
 			execPath,
 			execArgv: spawnArgs,
 			data: options,
@@ -79,13 +125,15 @@ export default class MasterMonitor extends EventEmitter {
 					.filter(Boolean)
 					.join(' ');
 				eventsLogger.info(chalk.gray(`${prefix} - ${hook}`));
-				runScript(event, ...args);
+				runScript(hook, ...args);
 			}
 		};
 
 		this.workerMonitors = [];
 
-		const exit = async () => {
+		// exit with non-zero `code` on fatal errors, so that the supervisor could
+		// tell it from an intentional stop
+		const exit = async (code = 0) => {
 			logger.debug('exit');
 			try {
 				const connection = await Connection.getByName(name);
@@ -99,12 +147,12 @@ export default class MasterMonitor extends EventEmitter {
 			catch (err) {
 				logger.debug(err);
 			}
-			process.exit();
+			process.exit(code);
 		};
 
 		process.on('uncaughtException', async (err) => {
 			logger.fatal(err);
-			await exit();
+			await exit(1);
 		});
 
 		onSignalExit(async () => {
@@ -112,26 +160,154 @@ export default class MasterMonitor extends EventEmitter {
 			await exit();
 		});
 
+		if (maxMemory) {
+			const limit = parseBytes(maxMemory);
+			const timer = setInterval(
+				() => this.checkMemory(limit),
+				MEMORY_CHECK_INTERVAL,
+			);
+			timer.unref();
+		}
+
+		if (maxUptime) {
+			this._maxUptime = parseDuration(maxUptime);
+			this._maxRestartsJitter = parseDuration(maxRestartsJitter || 0);
+			const timer = setInterval(
+				() => this.checkUptime(),
+				UPTIME_CHECK_INTERVAL,
+			);
+			timer.unref();
+		}
+
+		if (autoscale) {
+			this.autoscale = { target: null, reason: null, time: null };
+			const autoscaleLoop = async () => {
+				try {
+					await this.checkAutoscale(autoscale);
+				}
+				catch (err) {
+					logger.error(err);
+				}
+				setTimeout(autoscaleLoop, autoscale.interval).unref();
+			};
+			setTimeout(autoscaleLoop, autoscale.interval).unref();
+		}
+
+		if (healthCheck) {
+			const checkHealthLoop = async () => {
+				await this.checkHealth({ cwd, ...healthCheck });
+				setTimeout(checkHealthLoop, healthCheck.interval).unref();
+			};
+			setTimeout(checkHealthLoop, healthCheck.interval).unref();
+		}
+
+		if (cronRestart) {
+			this._runOnCron(
+				cronRestart,
+				(next) => (this.nextCronRestart = next),
+				async () => {
+					logger.info(`"${name}" cron restart`);
+					await this.rollingRestart();
+				},
+			);
+		}
+
+		this._schedule = schedule;
+		if (schedule) {
+			this._runOnCron(
+				schedule,
+				(next) => (this.nextRun = next),
+				async () => this.runScheduledJobs({ allowOverlap }),
+			);
+		}
+
 		watch({ cwd, ...watchOptions }, async () => {
 			logger.trace('watch:restart');
 			process.emit('watch:restart');
-			const { length } = this.workerMonitors;
-			const reloadDelay = length > 1 ? 2000 / length : 0;
-			for (const workerMonitor of this.workerMonitors) {
-				await workerMonitor.restart();
-				await delay(reloadDelay);
+			await this.rollingRestart();
+		});
+	}
+
+	// run `task` whenever the cron `expression` fires
+	_runOnCron(expression, onNext, task) {
+		const next = getNextCronDate(expression);
+		onNext(next);
+
+		const wait = async () => {
+			const ms = next.getTime() - Date.now();
+			if (ms > 0) {
+				setTimeout(wait, Math.min(ms, MAX_TIMEOUT_DELAY)).unref();
+				return;
 			}
+			try {
+				await task();
+			}
+			catch (err) {
+				logger.error(err);
+			}
+			this._runOnCron(expression, onNext, task);
+		};
+		wait();
+	}
+
+	async runScheduledJobs(options = {}) {
+		const { allowOverlap } = options;
+		for (const workerMonitor of this.workerMonitors) {
+			const { displayName } = workerMonitor.data;
+			const ok = await workerMonitor.run({ allowOverlap });
+			if (!ok) {
+				logger.warn(`"${displayName}" is still running, skipped this run`);
+			}
+		}
+	}
+
+	// restart worker monitors one by one
+	async rollingRestart() {
+		const { length } = this.workerMonitors;
+		const reloadDelay = length > 1 ? 2000 / length : 0;
+		for (const workerMonitor of this.workerMonitors) {
+			// paused instances should be resumed manually, and scheduled jobs
+			// should only be run on schedule
+			if (~['paused', 'scheduled'].indexOf(workerMonitor.status)) continue;
+
+			await workerMonitor.restart();
+			await delay(reloadDelay);
+		}
+	}
+
+	_createWorkerMonitor(id) {
+		const { env, ...options } = this._workerMonitorOptions;
+		const port = (function (basePort) {
+			if (basePort === 'auto') return findPortSync();
+			if (basePort) return basePort + id - 1;
+		})(this._port);
+
+		const instanceEnv = {
+			...env,
+			POT_INSTANCE_ID: `${id}`,
+			NODE_APP_INSTANCE: `${id - 1}`,
+		};
+		if (port) instanceEnv.PORT = `${port}`;
+
+		const workerMonitor = new WorkerMonitor({
+			...options,
+			env: instanceEnv,
+			port,
 		});
+		workerMonitor.id = id;
+		return workerMonitor;
 	}
 
 	async spawn(options = {}) {
 		const newInstances = ensureInstanceNumber(options.instances);
-		const { EventTypes } = WorkerMonitor;
 		const runEvent = this._runEvent;
 
+		// instance ids should be assigned before spawning, because they are
+		// passed to child processes as env vars
+		const lastId = Math.max(0, ...this.workerMonitors.map((wm) => wm.id));
 		const workerMonitors = new Array(newInstances)
 			.fill()
-			.map(() => new WorkerMonitor(this._workerMonitorOptions));
+			.map((_, index) => this._createWorkerMonitor(lastId + index + 1));
 
 		const errors = new Errors();
 
@@ -148,15 +324,45 @@ export default class MasterMonitor extends EventEmitter {
 				runEvent(EventTypes.CRASH);
 			});
 
+			workerMonitor.on(EventTypes.COMPLETE, (code) => {
+				logger.info(`"${displayName}" completed with code "${code}"`);
+				runEvent(EventTypes.COMPLETE, code);
+			});
+
 			workerMonitor.on(EventTypes.SLEEP, () => {
 				logger.warn(`"${displayName}" sleeped`);
 				runEvent(EventTypes.SLEEP);
 			});
 
 			workerMonitor.on(EventTypes.SPAWN, () => {
+				workerMonitor.data.actions = [];
+				if (this._maxUptime) {
+					const jitter = Math.random() * this._maxRestartsJitter;
+					this._maxUptimes.set(
+						workerMonitor,
+						Math.max(0, this._maxUptime - jitter),
+					);
+				}
 				runEvent(EventTypes.SPAWN);
 			});
 
+			// messages sent by the worker-side helpers
+			workerMonitor.on('message', (message) => {
+				if (!isObject(message)) return;
+				const { type, payload } = message;
+				switch (type) {
+					case MessageTypes.ACTIONS:
+						workerMonitor.data.actions = payload;
+						break;
+					case MessageTypes.STATE:
+						Object.assign(workerMonitor.data, payload);
+						break;
+					case MessageTypes.METRIC:
+						workerMonitor.metrics[payload.name] = payload.value;
+						break;
+				}
+			});
+
 			workerMonitor.on(EventTypes.EXIT, async (code, signal) => {
 				logger.debug(
 					`"${displayName}" exit with code "${code}", signal "${signal}"`,
@@ -164,19 +370,56 @@ export default class MasterMonitor extends EventEmitter {
 				runEvent(EventTypes.EXIT, code, signal);
 			});
 
+			workerMonitor.on(EventTypes.UNEXPECTED_EXIT, async (report) => {
+				runEvent(EventTypes.UNEXPECTED_EXIT, report.exitCode, report.signal);
+				try {
+					const file = await writeCrashReport(report);
+					logger.debug('crash report saved in', chalk.gray(file));
+				}
+				catch (err) {
+					logger.debug(err);
+				}
+			});
+
+			// output of each instance is logged as `#N` category, so it could be
+			// filtered by `pot log name#N`
+			const instanceLogger = ensureLogger(`#${workerMonitor.id}`);
+
 			workerMonitor.on(EventTypes.STDOUT, (data) => {
 				runEvent(EventTypes.STDOUT);
-				logger.info(data.toString().trim());
+				instanceLogger.info(data.toString().trim());
 			});
 
 			workerMonitor.on(EventTypes.STDERR, (data) => {
 				runEvent(EventTypes.STDERR);
-				logger.error(data.toString().trim());
+				instanceLogger.error(data.toString().trim());
 			});
 
 			workerMonitor.on(EventTypes.WARN, (data) => {
 				runEvent(EventTypes.WARN);
-				logger.warn(data.toString().trim());
+				instanceLogger.warn(data.toString().trim());
+			});
+
+			workerMonitor.on(EventTypes.MEMORY_LIMIT, async (used, limit) => {
+				logger.warn(
+					`"${displayName}" exceeded memory limit (${filesize(
+						used,
+					)} > ${filesize(limit)}), reloading`,
+				);
+				runEvent(EventTypes.MEMORY_LIMIT, used, limit);
+			});
+
+			workerMonitor.on(EventTypes.UNHEALTHY, async (err) => {
+				logger.warn(
+					`"${displayName}" is unhealthy (${err.message}), reloading`,
+				);
+				runEvent(EventTypes.UNHEALTHY);
+			});
+
+			workerMonitor.on(EventTypes.RUN, async () => {
+				await writePid(workerMonitor.data);
+				logger.info(`"${displayName}" run started`);
+				runEvent(EventTypes.RUN);
 			});
 
 			workerMonitor.on(EventTypes.RESTART, async () => {
@@ -186,13 +429,18 @@ export default class MasterMonitor extends EventEmitter {
 			});
 
 			return new Promise((resolve) => {
+				// stopped before started, i.e. ready timeout
+				const handleFailure = () => {
+					errors.push(new Error(`"${displayName}" failed to start`));
+					resolve();
+				};
+
+				workerMonitor.once(EventTypes.STOP, handleFailure);
+
 				workerMonitor.on(EventTypes.START, async () => {
+					workerMonitor.removeListener(EventTypes.STOP, handleFailure);
 					try {
 						const { workerMonitors } = this;
-						const numbers = workerMonitors.length ?
-							workerMonitors.map((wm) => wm.id) :
-							[0];
-						workerMonitor.id = Math.max(...numbers) + 1;
 						workerMonitors.push(workerMonitor);
 
 						const { data: options, id } = workerMonitor;
@@ -223,11 +471,11 @@ export default class MasterMonitor extends EventEmitter {
 					}
 					resolve(workerMonitor.toJSON());
 				});
-				workerMonitor.start();
+				this._schedule ? workerMonitor.schedule() : workerMonitor.start();
 			});
 		});
 
-		const added = await Promise.all(bootstraps);
+		const added = (await Promise.all(bootstraps)).filter(Boolean);
 
 		const ok = bootstraps.length > errors.length;
 		return {
@@ -237,7 +485,181 @@ export default class MasterMonitor extends EventEmitter {
 		};
 	}
 
-	async scale(number) {
+	// only one instance would be recycled at a time
+	async checkMemory(limit) {
+		if (this._isRecycling) return;
+
+		const results = await Promise.all(
+			this.workerMonitors.map(async (workerMonitor) => {
+				const { status, pid } = workerMonitor;
+				if (status !== 'running' || !pid) return;
+				try {
+					const { memory } = await pidUsage(pid);
+					if (memory > limit) return { workerMonitor, memory };
+				}
+				catch (err) {
+					logger.debug(err);
+				}
+			}),
+		);
+
+		const exceeded = results.find(
+			(result) => result && result.workerMonitor.status === 'running',
+		);
+		if (!exceeded || this._isRecycling) return;
+
+		const { workerMonitor, memory } = exceeded;
+		workerMonitor.emit(EventTypes.MEMORY_LIMIT, memory, limit);
+		this._isRecycling = true;
+		try {
+			await this._recycle(workerMonitor, 'maxMemory');
+		}
+		catch (err) {
+			logger.error(err);
+		}
+		this._isRecycling = false;
+	}
+
+	// recycle the instances which have been running longer than `maxUptime`.
+	// only one instance would be recycled at a time
+	async checkUptime() {
+		if (this._isRecycling) return;
+
+		const workerMonitor = this.workerMonitors.find((workerMonitor) => {
+			const { status, started } = workerMonitor;
+			if (status !== 'running') return false;
+			const maxUptime = this._maxUptimes.get(workerMonitor);
+			return Date.now() - started.getTime() >= maxUptime;
+		});
+		if (!workerMonitor) return;
+
+		const { displayName, maxUptime } = workerMonitor.data;
+		logger.warn(
+			`"${displayName}" reached max uptime (${maxUptime}), recycling`,
+		);
+		this._isRecycling = true;
+		try {
+			await this._recycle(workerMonitor, 'maxUptime');
+		}
+		catch (err) {
+			logger.error(err);
+		}
+		this._isRecycling = false;
+	}
+
+	// restart gracefully by reloading, the previous process would be kept
+	// until the new one is ready
+	async _recycle(workerMonitor, reason) {
+		workerMonitor.lastRecycle = { reason, time: new Date() };
+		this._runEvent(EventTypes.RECYCLE, reason);
+		await workerMonitor.reload();
+	}
+
+	// scale up if the average usage exceeds `target`, or scale down if the
+	// average usage would still be lower than `target` with one less instance
+	async checkAutoscale(options) {
+		const { min, max, metric, cooldown } = options;
+		if (Date.now() - this._lastScaled < cooldown) return;
+
+		const isMemory = metric === 'memory';
+		const target = isMemory ? parseBytes(options.target) : options.target;
+		const format = (value) =>
+			isMemory ? filesize(value) : `${value.toFixed(1)}%`;
+
+		const running = this.workerMonitors.filter(
+			({ status, pid }) => status === 'running' && pid,
+		);
+		if (!running.length) return;
+
+		const usages = await Promise.all(
+			running.map(async ({ pid }) => {
+				try {
+					return (await pidUsage(pid))[metric];
+				}
+				catch (err) {
+					logger.debug(err);
+					return 0;
+				}
+			}),
+		);
+		const average =
+			usages.reduce((sum, usage) => sum + usage, 0) / usages.length;
+
+		const { length } = this.workerMonitors;
+		let instances = length;
+		if (average > target && length < max) {
+			instances = length + 1;
+		}
+		else if (length > min && (average * length) / (length - 1) < target) {
+			instances = length - 1;
+		}
+		instances = Math.min(max, Math.max(min, instances));
+		this.autoscale.target = instances;
+		if (instances === length) return;
+
+		const { name } = this._workerMonitorOptions.data;
+		const reason = `average ${metric} ${format(average)} ${
+			instances > length ? '>' : '<'
+		} target ${format(target)}`;
+		logger.info(`"${name}" autoscale ${length} -> ${instances} (${reason})`);
+		this.autoscale.reason = reason;
+		this.autoscale.time = new Date();
+		this._lastScaled = Date.now();
+		await this.scale(instances);
+	}
+
+	// check each instance by itself, and restart the unhealthy instances. only
+	// one instance would be restarted at a time, to avoid restarting all
+	// instances at once if they fail together (i.e. a dependency is down)
+	async checkHealth(options) {
+		const { gracePeriod, threshold } = options;
+		const results = await Promise.all(
+			this.workerMonitors.map(async (workerMonitor) => {
+				const { status, started, port } = workerMonitor;
+				if (status !== 'running') return;
+				if (Date.now() - started.getTime() < gracePeriod) return;
+				const error = await checkHealth(withInstancePort(options, port)).then(
+					noop,
+					(err) => err,
+				);
+
+				// ignore the result if it has been restarted while checking
+				if (workerMonitor.started !== started) return;
+
+				if (!error) {
+					workerMonitor.health = 'healthy';
+					workerMonitor.healthFailures = 0;
+					return;
+				}
+
+				logger.debug(error);
+				workerMonitor.healthFailures++;
+				if (workerMonitor.healthFailures >= threshold) {
+					workerMonitor.health = 'unhealthy';
+					return { workerMonitor, error };
+				}
+			}),
+		);
+
+		// the one running longest first, so that the others would not be starved
+		const [unhealthy] = results
+			.filter(Boolean)
+			.sort((a, b) => a.workerMonitor.started - b.workerMonitor.started);
+		if (!unhealthy || this._isRecycling) return;
+
+		const { workerMonitor, error } = unhealthy;
+		workerMonitor.emit(EventTypes.UNHEALTHY, error);
+		this._isRecycling = true;
+		try {
+			await this._recycle(workerMonitor, 'healthCheck');
+		}
+		catch (err) {
+			logger.error(err);
+		}
+		this._isRecycling = false;
+	}
+
+	async scale(number, options) {
 		const delta = ensureInstanceNumber(number) - this.workerMonitors.length;
 		if (!delta) {
 			return { ok: true, errors: [] };
@@ -252,7 +674,7 @@ export default class MasterMonitor extends EventEmitter {
 			const removed = await Promise.all(
 				toRemove.map(async (workerMonitor) => {
 					const state = workerMonitor.toJSON();
-					await this.requestShutDown(workerMonitor).catch((err) =>
+					await this.requestShutDown(workerMonitor, options).catch((err) =>
 						errors.push(err),
 					);
 					return state;
@@ -272,21 +694,128 @@ export default class MasterMonitor extends EventEmitter {
 			if (newState) {
 				Object.assign(currentWorkerMonitor.data, newState);
 			}
-			return currentWorkerMonitor.toJSON();
+			const state = currentWorkerMonitor.toJSON();
+			state.monitor.nextCronRestart = this.nextCronRestart;
+			state.monitor.nextRun = this.nextRun;
+			state.monitor.autoscale = this.autoscale;
+			return state;
 		}
 	}
 
-	async restart() {
+	async restart(options) {
+		const { currentWorkerMonitor } = this;
+		if (currentWorkerMonitor) {
+			await currentWorkerMonitor.restart(options);
+			return true;
+		}
+		return false;
+	}
+
+	async reload(options) {
+		const { currentWorkerMonitor } = this;
+		if (currentWorkerMonitor) {
+			return currentWorkerMonitor.reload(options);
+		}
+		return false;
+	}
+
+	// call `handle(workerMonitor)` on all worker monitors, or the one of the
+	// `instance` id. `handle()` should return `false` if it is not applicable,
+	// and the returned object will be merged to the result
+	async _applyWorkerMonitors(instance, handle, failureMessage) {
+		const errors = new Errors();
+		const applied = [];
+		const workerMonitors = this.workerMonitors.filter(
+			(workerMonitor) => !instance || workerMonitor.id === instance,
+		);
+
+		if (instance && !workerMonitors.length) {
+			errors.push(new Error(`Instance #${instance} NOT found`));
+		}
+
+		await Promise.all(
+			workerMonitors.map(async (workerMonitor) => {
+				const { displayName, instanceId, pid } = workerMonitor.toJSON();
+				try {
+					const res = await handle(workerMonitor);
+					if (res) {
+						const extra = isObject(res) ? res : {};
+						applied.push({ displayName, instanceId, pid, ...extra });
+					}
+					else {
+						errors.push(new Error(`"${displayName}" ${failureMessage}`));
+					}
+				}
+				catch (err) {
+					errors.push(err);
+				}
+			}),
+		);
+
+		return { ok: !errors.length, errors: errors.toJSON(), applied };
+	}
+
+	async signal(signal, options = {}) {
+		const { applied, ...res } = await this._applyWorkerMonitors(
+			options.instance,
+			(workerMonitor) => workerMonitor.signal(signal),
+			'is not running',
+		);
+		return { ...res, signaled: applied };
+	}
+
+	async pause(options = {}) {
+		const { applied, ...res } = await this._applyWorkerMonitors(
+			options.instance,
+			(workerMonitor) => workerMonitor.pause(),
+			'is not running',
+		);
+		return { ...res, paused: applied };
+	}
+
+	async resume(options = {}) {
+		const { applied, ...res } = await this._applyWorkerMonitors(
+			options.instance,
+			(workerMonitor) => workerMonitor.resume(),
+			'is not paused',
+		);
+		return { ...res, resumed: applied };
+	}
+
+	async send(payload, options = {}) {
+		const { instance, ...sendOptions } = options;
+		const { applied, ...res } = await this._applyWorkerMonitors(
+			instance,
+			(workerMonitor) => workerMonitor.send(payload, sendOptions),
+			'is not connected',
+		);
+		return { ...res, sent: applied };
+	}
+
+	async action(name, params, options = {}) {
+		const { instance, ...actionOptions } = options;
+		const { applied, ...res } = await this._applyWorkerMonitors(
+			instance,
+			(workerMonitor) => workerMonitor.runAction(name, params, actionOptions),
+			'is not connected',
+		);
+		return { ...res, results: applied };
+	}
+
+	// closing socket could not carry any data, so the shut down options should
+	// be sent before closing
+	async prepareShutDown(options) {
 		const { currentWorkerMonitor } = this;
 		if (currentWorkerMonitor) {
-			await currentWorkerMonitor.restart();
+			this._shutDownOptions.set(currentWorkerMonitor, options);
 			return true;
 		}
 		return false;
 	}
 
-	async requestShutDown(workerMonitor) {
-		await workerMonitor.stop();
+	async requestShutDown(workerMonitor, options) {
+		if (!options) options = this._shutDownOptions.get(workerMonitor);
+		await workerMonitor.stop(options);
 
 		const { socketPath, pidFile } = workerMonitor.toJSON();
 
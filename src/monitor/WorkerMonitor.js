@@ -6,12 +6,28 @@ import spawn from 'cross-spawn';
 import { EventEmitter } from 'events';
 import fkill from 'fkill';
 import cluster from 'cluster';
-import { noop, isBoolean } from 'lodash';
+import { noop, isBoolean, isObject, isUndefined } from 'lodash';
 import isWin from '../utils/isWin';
 import { basename } from 'path';
+import getRestartDelay from '../utils/getRestartDelay';
+import EventTypes from '../utils/EventTypes';
+import * as MessageTypes from '../utils/MessageTypes';
+
+const defaultRestartPolicy = {
+	type: 'fixed',
+	minDelay: 1000,
+	maxDelay: 60000,
+	jitter: 0,
+	window: 60000,
+	resetAfter: 0,
+};
+
+const defaultSleep = function defaultSleep(sleep, restartPolicy) {
+	if (!sleep) {
+		return (attempts) => getRestartDelay(restartPolicy, attempts);
+	}
 
-const defaultSleep = function defaultSleep(sleep) {
-	sleep = Array.isArray(sleep) ? sleep : [sleep || 1000];
+	sleep = Array.isArray(sleep) ? sleep : [sleep];
 	return function (restarts) {
 		return sleep[restarts - 1] || sleep[sleep.length - 1];
 	};
@@ -23,23 +39,30 @@ const ensureClusterMode = function ensureClusterMode({ cluster, execPath }) {
 	return isBoolean(cluster) ? cluster : /\bnode\b/.test(basename(execPath));
 };
 
-const kill = async function kill(pid) {
-	return fkill(pid, { force: isWin }).catch(noop);
+// add an IPC channel to allow child process calling `process.send()`
+const ensureIpcStdio = function ensureIpcStdio(stdio = 'pipe') {
+	const res = Array.isArray(stdio) ? [...stdio] : [stdio, stdio, stdio];
+	if (!~res.indexOf('ipc')) res.push('ipc');
+	return res;
 };
 
-const EventTypes = {
-	SPAWN: 'spawn',
-	START: 'start',
-	RESTART: 'restart',
-	SLEEP: 'sleep',
-	CRASH: 'crash',
-	EXIT: 'exit',
-	STOP: 'stop',
-	STDOUT: 'stdout',
-	STDERR: 'stderr',
-	WARN: 'warn',
+// `fkill` does not support custom signals, so use `process.kill()` instead
+// if `signal` is provided (except windows)
+const kill = async function kill(pid, signal) {
+	if (isWin || !signal) {
+		return fkill(pid, { force: isWin }).catch(noop);
+	}
+	try {
+		process.kill(pid, signal);
+	}
+	catch (err) {
+		// the process may have already exited
+	}
 };
 
+// increasing id to match the replies of `_request()`
+let messageId = 0;
+
 export default class WorkerMonitor extends EventEmitter {
 	static EventTypes = EventTypes;
 
@@ -54,6 +77,7 @@ export default class WorkerMonitor extends EventEmitter {
 		this.name = opts.name;
 		this.cwd = opts.cwd || '.';
 		this.env = opts.env || {};
+		this.port = opts.port;
 		this.data = { ...opts.data };
 		this.uid = opts.uid;
 		this.gid = opts.gid;
@@ -67,61 +91,121 @@ export default class WorkerMonitor extends EventEmitter {
 		this.silent = opts.silent;
 		this.windowsVerbatimArguments = opts.windowsVerbatimArguments;
 		this.windowsHide = opts.windowsHide !== false;
+		this.waitReady = !!opts.waitReady;
+		this.readyTimeout = isUndefined(opts.readyTimeout) ?
+			30000 :
+			opts.readyTimeout;
+
+		// IPC channel is always available for node programs
+		const { interpreter = 'node' } = this.data;
+		this.ipc = this.waitReady || interpreter === 'node';
 
 		this.crashed = false;
+		this.launched = false;
+		this.restartPolicy = { ...defaultRestartPolicy, ...opts.restartPolicy };
+		this.restartTimes = [];
+		this.restartAttempts = 0;
+		this.restartDelay = 0;
+
+		// `healthy`, `unhealthy` or `null` (not checked yet)
+		this.health = null;
+		this.healthFailures = 0;
+		this.metrics = {};
+
+		// the reason and time of the last proactive restart
+		this.lastRecycle = null;
 		this.sleep =
-			typeof opts.sleep === 'function' ? opts.sleep : defaultSleep(opts.sleep);
+			typeof opts.sleep === 'function' ?
+				opts.sleep :
+				defaultSleep(opts.sleep, this.restartPolicy);
 		this.maxRestarts = opts.maxRestarts === 0 ? 0 : opts.maxRestarts || -1;
-		this.kill = opts.kill === false ? false : opts.kill || 30000;
+		this.autorestart = isUndefined(opts.autorestart) ? true : opts.autorestart;
+		this.stopExitCodes = opts.stopExitCodes || [];
+		this.exitCode = null;
+		this.exitSignal = null;
+
+		// scheduled job mode, the child process is only spawned by `run()`
+		this.scheduled = !!opts.schedule;
+		this.runs = [];
+		this.runHistorySize = isUndefined(opts.runHistorySize) ?
+			10 :
+			opts.runHistorySize;
+		this._jobs = new Set();
+
+		// the last lines of stdout and stderr, for crash reports
+		this.crashReportLines = isUndefined(opts.crashReportLines) ?
+			50 :
+			opts.crashReportLines;
+		this.output = [];
+		this.killSignal = opts.killSignal || 'SIGTERM';
+		this.killTimeout = isUndefined(opts.killTimeout) ? 30000 : opts.killTimeout;
 		this.child = null;
 		this.started = null;
 		this.timeout = null;
+		this.readyTimer = null;
+
+		// the new child process and the previous states while reloading
+		this._reloading = null;
 	}
 
-	async stop() {
+	async stop(options = {}) {
 		if (this.status === 'stopped' || this.status === 'stopping') {
 			return;
 		}
+		const paused = this.status === 'paused';
 		this.status = 'stopping';
 
 		clearTimeout(this.timeout);
+		clearTimeout(this.readyTimer);
+
+		// overlapping runs of scheduled job
+		const overlapping = [...this._jobs].filter((job) => job !== this.child);
+		await Promise.all(overlapping.map((job) => this._terminate(job, options)));
+
+		// the previous child process is still alive while reloading
+		if (this._reloading) {
+			const { prev, settle } = this._reloading;
+			settle(false);
+			await this._terminate(prev.child, options);
+		}
 
 		if (!this.child) return this._stopped();
 
-		let wait;
-		const { child } = this;
-		const sigkill = async () => {
-			await kill(child.pid);
-			this.emit('force-kill');
-		};
+		await this._terminate(this.child, { ...options, paused });
+	}
 
-		const onexit = () => {
-			clearTimeout(wait);
-		};
+	// wait for `run()` without spawning child process in scheduled job mode
+	schedule() {
+		this.status = 'scheduled';
+		this.data.pid = 0;
+		this.launched = true;
+		this.emit(EventTypes.START);
+	}
 
-		if (this.kill !== false) {
-			wait = setTimeout(sigkill, this.kill);
-			this.child.on('exit', onexit);
+	// run the scheduled job. returns `false` if the previous run has not
+	// finished and `allowOverlap` is not `true`
+	async run(options = {}) {
+		const { allowOverlap } = options;
+		if (~['running', 'launching'].indexOf(this.status)) {
+			if (!allowOverlap) return false;
+			await this.start({ reload: true });
+			return true;
 		}
-
-		await Promise.all([
-			new Promise((resolve) => {
-				if (this.child) this.child.once('exit', resolve);
-				else resolve();
-			}),
-			kill(this.child.pid),
-		]);
+		if (this.status !== 'scheduled') return false;
+		await this.start();
+		return true;
 	}
 
 	async start(options = {}) {
-		let { restart } = options;
+		let { restart, reload } = options;
 
-		if (this.status === 'running') {
-			if (!restart) return false;
-			await this.stop();
+		if (~['running', 'launching', 'paused'].indexOf(this.status)) {
+			if (!restart && !reload) return false;
+
+			// keep the previous child process alive in reload mode
+			if (!reload) await this.stop(options);
 		}
 
-		let clock = 60000;
 		const env = Object.assign({}, process.env, this.env);
 
 		const loop = () => {
@@ -151,12 +235,18 @@ export default class WorkerMonitor extends EventEmitter {
 			else {
 				child = spawn(this.execPath, this.execArgv, {
 					...commomOptions,
+					stdio: this.ipc ? ensureIpcStdio(this.stdio) : this.stdio,
 					env,
 				});
 			}
 
-			this.started = new Date();
-			this.status = 'running';
+			const started = new Date();
+			this.started = started;
+			this.health = null;
+			this.healthFailures = 0;
+			this.metrics = {};
+			this.output = [];
+			this.status = this.waitReady ? 'launching' : 'running';
 			this.child = child;
 			this.pid = child.pid;
 			this.data.pid = this.pid;
@@ -165,8 +255,11 @@ export default class WorkerMonitor extends EventEmitter {
 
 			child.setMaxListeners(0);
 
+			if (this.scheduled) this._jobs.add(child);
+
 			if (child.stdout) {
 				child.stdout.on('data', (data) => {
+					this._bufferOutput('stdout', data);
 					this.emit(EventTypes.STDOUT, data);
 				});
 
@@ -177,6 +270,7 @@ export default class WorkerMonitor extends EventEmitter {
 
 			if (child.stderr) {
 				child.stderr.on('data', (data) => {
+					this._bufferOutput('stderr', data);
 					this.emit(EventTypes.STDERR, data);
 				});
 
@@ -191,6 +285,7 @@ export default class WorkerMonitor extends EventEmitter {
 
 			const clear = () => {
 				if (this.child !== child) return false;
+				clearTimeout(this.readyTimer);
 				this.child = null;
 				this.pid = 0;
 				return true;
@@ -198,6 +293,7 @@ export default class WorkerMonitor extends EventEmitter {
 
 			child.on('error', (err) => {
 				this.emit(EventTypes.WARN, err); // too opionated? maybe just forward err
+				if (this._rollbackReload(child)) return;
 				if (!clear()) return;
 				if (this.status === 'stopping') return this._stopped();
 				this.crashes++;
@@ -206,33 +302,115 @@ export default class WorkerMonitor extends EventEmitter {
 
 			child.on('exit', (code, signal) => {
 				this.emit(EventTypes.EXIT, code, signal);
+				if (this.scheduled) {
+					this._jobs.delete(child);
+					this._addRun(started, code, signal);
+				}
+
+				// the previous child process exited while reloading
+				const { _reloading: reloading } = this;
+				if (reloading && reloading.prev.child === child) {
+					reloading.isPrevExited = true;
+				}
+
+				if (this._rollbackReload(child)) return;
 				if (!clear()) return;
+				this.exitCode = code;
+				this.exitSignal = signal;
 				if (this.status === 'stopping') return this._stopped();
 
-				clock -= Date.now() - (this.started ? this.started.getTime() : 0);
+				const isExpected = this.scheduled ?
+					code === 0 :
+					this._isCompleted(code);
+				if (!isExpected) {
+					// failed runs of scheduled job are not crashes
+					if (!this.scheduled) this.crashes++;
+					this.emit(
+						EventTypes.UNEXPECTED_EXIT,
+						this._getCrashReport(child, code, signal),
+					);
+				}
 
-				if (clock <= 0) {
-					clock = 60000;
+				// wait for the next run
+				if (this.scheduled) {
+					this.status = 'scheduled';
+					this.started = null;
+					return;
 				}
 
-				this.crashes++;
+				if (this._isCompleted(code)) return this._complete();
+
+				if (!this.autorestart) return this._crash();
+
+				const now = Date.now();
+				const uptime = this.started ? now - this.started.getTime() : 0;
+				const { window, resetAfter } = this.restartPolicy;
 
-				if (this.restarts > this.maxRestarts && this.maxRestarts !== -1) {
+				// forget the previous restarts if it has been running stably
+				if (resetAfter && uptime >= resetAfter) {
+					this.restartTimes = [];
+				}
+
+				// only count the restarts within the `window`
+				this.restartTimes = this.restartTimes
+					.filter((time) => now - time < window)
+					.concat(now);
+				this.restartAttempts = this.restartTimes.length;
+
+				if (
+					this.maxRestarts !== -1 &&
+					this.restartAttempts > this.maxRestarts
+				) {
 					return this._crash();
 				}
 
 				this.status = 'sleeping';
 				this.emit(EventTypes.SLEEP);
 
-				const restartTimeout = this.sleep(this.restarts);
-				this.timeout = setTimeout(loop, restartTimeout);
+				this.restartDelay = this.sleep(this.restartAttempts);
+				this.timeout = setTimeout(loop, this.restartDelay);
 			});
 
 			const emitReady = () => {
-				this.emit(this.restarts ? EventTypes.RESTART : EventTypes.START);
+				if (this.scheduled) this.emit(EventTypes.RUN);
+				else this.emit(this.launched ? EventTypes.RESTART : EventTypes.START);
+				this.launched = true;
 			};
 
-			worker ? worker.on('online', emitReady) : emitReady();
+			if (this.waitReady) {
+				const handleReady = (message) => {
+					if (message !== 'ready' || this.child !== child) return;
+					child.removeListener('message', handleReady);
+					clearTimeout(this.readyTimer);
+					this.status = 'running';
+					emitReady();
+				};
+
+				child.on('message', handleReady);
+
+				this.readyTimer = setTimeout(async () => {
+					child.removeListener('message', handleReady);
+					this.emit(
+						EventTypes.WARN,
+						new Error(`Ready timeout after ${this.readyTimeout}ms`),
+					);
+
+					// failed to start at the first time, give up
+					if (!this.launched) {
+						this.crashes++;
+						await this.stop();
+					}
+
+					// the exit handler would restart it. force kill it after
+					// `killTimeout` if it ignores the `killSignal`
+					else {
+						await this._terminate(child);
+					}
+				}, this.readyTimeout);
+			}
+			else {
+				worker ? worker.on('online', emitReady) : emitReady();
+			}
 		};
 
 		clearTimeout(this.timeout);
@@ -241,8 +419,150 @@ export default class WorkerMonitor extends EventEmitter {
 		return this.status === 'running';
 	}
 
-	async restart() {
-		return this.start({ restart: true });
+	async restart(options = {}) {
+		return this.start({ ...options, restart: true });
+	}
+
+	async reload(options = {}) {
+		const { child: prevChild } = this;
+		if (this.status !== 'running' || !prevChild) {
+			return this.restart(options);
+		}
+
+		const prev = { child: prevChild, pid: this.pid, started: this.started };
+		const { actions } = this.data;
+		let replacement;
+
+		// spawn a new child process alongside the previous one, and retire the
+		// previous one after the new one is ready. if the new one exits or is not
+		// ready within `readyTimeout`, keep the previous one and kill the new one
+		const ok = await new Promise((resolve) => {
+			let timer;
+			const settle = (res) => {
+				clearTimeout(timer);
+				this.removeListener(EventTypes.SPAWN, handleSpawn);
+				this.removeListener(EventTypes.RESTART, handleRestart);
+				this._reloading = null;
+				resolve(res);
+			};
+			const handleSpawn = (child) => {
+				replacement = child;
+				this._reloading = { child, prev, actions, settle };
+			};
+			const handleRestart = () => settle(true);
+			this.once(EventTypes.SPAWN, handleSpawn);
+			this.once(EventTypes.RESTART, handleRestart);
+			timer = setTimeout(() => {
+				this.emit(
+					EventTypes.WARN,
+					new Error(`Reload timeout after ${this.readyTimeout}ms`),
+				);
+				this._rollbackReload(replacement);
+			}, this.readyTimeout);
+			this.start({ reload: true });
+		});
+
+		if (!ok) {
+			if (replacement) await this._terminate(replacement);
+			return false;
+		}
+
+		await this._terminate(prevChild, options);
+		return true;
+	}
+
+	signal(signal) {
+		if (!this.child || !this.pid) return false;
+		if (!~['running', 'launching', 'paused'].indexOf(this.status)) {
+			return false;
+		}
+		process.kill(this.pid, signal);
+		return true;
+	}
+
+	pause() {
+		if (isWin) throw new Error('Pausing is not supported on Windows');
+		if (!this.child || this.status !== 'running') return false;
+		process.kill(this.pid, 'SIGSTOP');
+		this.status = 'paused';
+		return true;
+	}
+
+	resume() {
+		if (!this.child || this.status !== 'paused') return false;
+		process.kill(this.pid, 'SIGCONT');
+		this.status = 'running';
+		return true;
+	}
+
+	isConnected() {
+		const { child } = this;
+		if (!child || !child.connected) return false;
+		return !!~['running', 'launching'].indexOf(this.status);
+	}
+
+	// returns `false` if it could not be sent, or `{ reply }` if `reply` is
+	// required, otherwise returns `true`
+	async send(payload, options = {}) {
+		if (!this.isConnected()) return false;
+
+		const { reply, timeout = 5000 } = options;
+		const message = { type: MessageTypes.MESSAGE, payload };
+
+		if (!reply) {
+			this.child.send(message);
+			return true;
+		}
+
+		return { reply: await this._request(message, timeout) };
+	}
+
+	// returns `false` if it could not be sent, otherwise returns `{ result }`
+	async runAction(name, params, options = {}) {
+		if (!this.isConnected()) return false;
+
+		const { actions = [] } = this.data;
+		if (!~actions.indexOf(name)) {
+			throw new Error(`"${this.data.displayName}" has no action "${name}"`);
+		}
+
+		const { timeout = 30000 } = options;
+		const message = { type: MessageTypes.ACTION, payload: { name, params } };
+		return { result: await this._request(message, timeout) };
+	}
+
+	// send message to child process and wait for the reply
+	_request(message, timeout) {
+		const { child } = this;
+		const id = ++messageId;
+		return new Promise((resolve, reject) => {
+			let timer;
+			const handleMessage = (msg) => {
+				if (!isObject(msg) || msg.type !== MessageTypes.REPLY) return;
+				if (msg.id !== id) return;
+				clear();
+				if (msg.error) reject(new Error(msg.error));
+				else resolve(msg.payload);
+			};
+			const handleExit = () => {
+				clear();
+				const { displayName } = this.data;
+				reject(new Error(`"${displayName}" exited before replying`));
+			};
+			const clear = () => {
+				clearTimeout(timer);
+				child.removeListener('message', handleMessage);
+				child.removeListener('exit', handleExit);
+			};
+			timer = setTimeout(() => {
+				clear();
+				const { displayName } = this.data;
+				reject(new Error(`"${displayName}" reply timeout after ${timeout}ms`));
+			}, timeout);
+			child.on('message', handleMessage);
+			child.once('exit', handleExit);
+			child.send({ ...message, id });
+		});
 	}
 
 	toJSON() {
@@ -257,6 +577,15 @@ export default class WorkerMonitor extends EventEmitter {
 				started: this.started,
 				pid: this.ppid,
 				crashes: this.crashes,
+				restartAttempts: this.restartAttempts,
+				restartDelay: this.restartDelay,
+				health: this.health,
+				metrics: this.metrics,
+				lastRecycle: this.lastRecycle,
+				exitCode: this.exitCode,
+				exitSignal: this.exitSignal,
+				runs: this.runs,
+				port: this.port,
 				command: this.command,
 				cwd: this.cwd,
 				env: this.env,
@@ -264,8 +593,108 @@ export default class WorkerMonitor extends EventEmitter {
 		};
 	}
 
+	async _terminate(child, options = {}) {
+		const isExited = child.exitCode !== null || child.signalCode !== null;
+		if (isExited) return;
+
+		const {
+			signal = this.killSignal,
+			timeout = this.killTimeout,
+			paused,
+		} = options;
+
+		let wait;
+		const sigkill = async () => {
+			await kill(child.pid, 'SIGKILL');
+			this.emit('force-kill');
+		};
+
+		const onexit = () => {
+			clearTimeout(wait);
+		};
+
+		if (timeout !== false) {
+			wait = setTimeout(sigkill, timeout);
+			child.on('exit', onexit);
+		}
+
+		const terminate = async () => {
+			await kill(child.pid, signal);
+
+			// a paused process could not handle the signal until it is continued
+			if (paused) await kill(child.pid, 'SIGCONT');
+		};
+
+		await Promise.all([
+			new Promise((resolve) => child.once('exit', resolve)),
+			terminate(),
+		]);
+	}
+
+	// restore the previous child process if the new one failed in reloading.
+	// returns `true` if restored. if the previous one has exited too, the
+	// failure of the new one should be handled as usual (crash or restart)
+	_rollbackReload(child) {
+		const { _reloading: reloading } = this;
+		if (!reloading || reloading.child !== child) return false;
+		reloading.settle(false);
+		if (reloading.isPrevExited) return false;
+		clearTimeout(this.readyTimer);
+		Object.assign(this, reloading.prev);
+		this.data.pid = this.pid;
+		this.data.actions = reloading.actions;
+		this.status = 'running';
+		return true;
+	}
+
+	_bufferOutput(stream, data) {
+		const lines = data
+			.toString()
+			.split(/\r?\n/)
+			.filter(Boolean)
+			.map((text) => ({ stream, text }));
+		const output = this.output.concat(lines);
+		this.output = output.slice(output.length - this.crashReportLines);
+	}
+
+	_getCrashReport(child, exitCode, signal) {
+		return {
+			time: new Date(),
+			name: this.data.name,
+			instanceId: this.id,
+			displayName: this.data.displayName,
+			pid: child.pid,
+			exitCode,
+			signal,
+			uptime: this.started ? Date.now() - this.started.getTime() : 0,
+			restarts: this.restarts,
+			crashes: this.crashes,
+			command: [this.execPath].concat(this.execArgv || []).join(' '),
+			cwd: this.cwd,
+			output: this.output,
+		};
+	}
+
+	_addRun(started, exitCode, exitSignal) {
+		const duration = Date.now() - started.getTime();
+		this.runs.unshift({ started, duration, exitCode, exitSignal });
+		this.runs = this.runs.slice(0, this.runHistorySize);
+	}
+
+	_isCompleted(code) {
+		if (~this.stopExitCodes.indexOf(code)) return true;
+		return code === 0 && this.autorestart !== true;
+	}
+
+	_complete() {
+		if (!~['running', 'launching', 'paused'].indexOf(this.status)) return;
+		this.status = 'completed';
+		this.emit(EventTypes.COMPLETE, this.exitCode);
+		if (this.status === 'completed') this._stopped();
+	}
+
 	_crash() {
-		if (this.status !== 'running') return;
+		if (!~['running', 'launching', 'paused'].indexOf(this.status)) return;
 		this.status = 'crashed';
 		this.emit(EventTypes.CRASH);
 		if (this.status === 'crashed') this._stopped();
@@ -273,7 +702,9 @@ export default class WorkerMonitor extends EventEmitter {
 
 	_stopped() {
 		if (this.status === 'stopped') return;
-		if (this.status !== 'crashed') this.status = 'stopped';
+		if (!~['crashed', 'completed'].indexOf(this.status)) {
+			this.status = 'stopped';
+		}
 		this.started = null;
 		this.emit(EventTypes.STOP);
 	}
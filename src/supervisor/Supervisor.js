@@ -0,0 +1,194 @@
+import { logger, setLoggers } from 'pot-logger';
+import chalk from 'chalk';
+import delay from 'delay';
+import globby from 'globby';
+import fkill from 'fkill';
+import { basename } from 'path';
+import { noop, escapeRegExp } from 'lodash';
+import workspace from '../utils/workspace';
+import getKey from '../utils/getKey';
+import getRestartDelay from '../utils/getRestartDelay';
+import { createServer } from '../utils/ipc';
+import { forkMonitor, startMonitor } from '../utils/MonitorHelpers';
+import { getSupervisorFiles } from '../utils/SupervisorHelpers';
+import { getPid, writePid, removePidFile } from '../utils/PidHelpers';
+import { getSocketPath, removeDomainSocketFile } from '../utils/SocketsHelpers';
+import { SUPERVISE, SUPERVISED } from '../utils/SocketEventTypes';
+
+const IDLE_TIMEOUT = 3000;
+
+// restart the dead monitor with backoff, and give up if it died more than
+// `MAX_RESTARTS` times within `RESTART_WINDOW`
+const RESTART_POLICY = { type: 'exponential', minDelay: 1000, maxDelay: 30000 };
+const RESTART_WINDOW = 60000;
+const MAX_RESTARTS = 5;
+
+export default class Supervisor {
+	// monitor refs by app name, including the monitor process and the last
+	// known start options
+	_monitors = new Map();
+
+	// names of the monitors waiting to be restarted
+	_restarting = new Set();
+
+	async start() {
+		const { logsDir, pidFile, socketPath } = await getSupervisorFiles();
+		setLoggers({ enable: true, daemon: true, logsDir });
+
+		this._files = { pidFile, socketPath };
+		this._server = await createServer(socketPath);
+		this._server.reply(SUPERVISE, async (data) => this.supervise(data));
+		this._server.reply(SUPERVISED, async () => this.list());
+
+		await writePid({ pidFile, pid: process.pid });
+		logger.info('supervisor started');
+	}
+
+	// `env` is the environment variables of the `pot start` process, which
+	// should be inherited by the monitor. `restartTimes` are the times of the
+	// previous unexpected exits
+	async supervise({ options, env }, restartTimes = []) {
+		const { name } = options;
+		const monitorProc = forkMonitor({
+			...options,
+			env: { ...env, ...options.env },
+		});
+
+		try {
+			await startMonitor(monitorProc, options);
+		}
+		catch (err) {
+			logger.error(`"${name}" monitor failed to start`);
+			logger.debug(err);
+			monitorProc.kill();
+			this._requestExitIfIdle();
+			return { ok: false, errors: [err.message] };
+		}
+
+		this._monitors.set(name, { monitorProc, options, env, restartTimes });
+		monitorProc.once('exit', (code, signal) => {
+			this._handleExit(name, monitorProc, code, signal);
+		});
+
+		logger.info(`"${name}" monitor started`, chalk.gray(monitorProc.pid));
+		return { ok: true, errors: [], pid: monitorProc.pid };
+	}
+
+	list() {
+		return Array.from(this._monitors).map(([name, { monitorProc }]) => ({
+			name,
+			pid: monitorProc.pid,
+		}));
+	}
+
+	async _handleExit(name, monitorProc, code, signal) {
+		const ref = this._monitors.get(name);
+
+		// the app has been restarted by `--force`
+		if (!ref || ref.monitorProc !== monitorProc) return;
+
+		this._monitors.delete(name);
+
+		if (code === 0) {
+			logger.info(`"${name}" monitor stopped`);
+			return this._requestExitIfIdle();
+		}
+
+		const now = Date.now();
+		const restartTimes = ref.restartTimes
+			.filter((time) => now - time < RESTART_WINDOW)
+			.concat(now);
+		const shouldRestart = restartTimes.length <= MAX_RESTARTS;
+		const reason = signal || `code ${code}`;
+		if (shouldRestart) {
+			logger.warn(
+				`"${name}" monitor exited unexpectedly (${reason}), restarting`,
+			);
+		}
+		else {
+			logger.error(
+				`"${name}" monitor died too many times (${reason}), gave up`,
+			);
+		}
+
+		this._restarting.add(name);
+		try {
+			const instances = await this._cleanUpOrphans(name);
+			if (!shouldRestart) return;
+
+			await delay(getRestartDelay(RESTART_POLICY, restartTimes.length));
+
+			// the app has been started again while waiting
+			if (this._monitors.has(name)) return;
+
+			const { options, env } = ref;
+			await this.supervise(
+				{
+					options: { ...options, instances: instances || options.instances },
+					env,
+				},
+				restartTimes,
+			);
+		}
+		catch (err) {
+			logger.error(`Failed to restart "${name}" monitor`);
+			logger.debug(err);
+		}
+		finally {
+			this._restarting.delete(name);
+			this._requestExitIfIdle();
+		}
+	}
+
+	// orphaned workers could not be adopted by a new monitor, because their
+	// stdio and IPC were piped to the dead one. so kill them and remove their
+	// stale pid and socket files. returns the last known instances number
+	async _cleanUpOrphans(name) {
+		const runDir = await workspace.getRunDir();
+		const key = escapeRegExp(getKey({ data: { name } }));
+		const keyRegExp = new RegExp(`^${key}-\\d+$`);
+		const pidFiles = (
+			await globby(`${runDir}/*.pid`, {
+				absolute: true,
+			})
+		).filter((pidFile) => keyRegExp.test(basename(pidFile, '.pid')));
+
+		await Promise.all(
+			pidFiles.map(async (pidFile) => {
+				const key = basename(pidFile, '.pid');
+				const pid = await getPid(pidFile);
+				if (pid) {
+					logger.warn(`kill orphaned worker "${key}"`, chalk.gray(pid));
+					await fkill(pid, { force: true }).catch(noop);
+				}
+				await Promise.all([
+					removePidFile(pidFile),
+					removeDomainSocketFile(await getSocketPath(key)),
+				]);
+			}),
+		);
+		return pidFiles.length;
+	}
+
+	// wait for a while before exiting, to reply the pending requests
+	_requestExitIfIdle() {
+		setTimeout(async () => {
+			if (!this._monitors.size && !this._restarting.size) await this.exit();
+		}, IDLE_TIMEOUT);
+	}
+
+	async exit() {
+		logger.info('supervisor exited');
+
+		// could be signaled before `start()` is done
+		if (this._server) await this._server.close().catch(noop);
+		if (this._files) {
+			const { pidFile, socketPath } = this._files;
+			await Promise.all([
+				removePidFile(pidFile),
+				removeDomainSocketFile(socketPath),
+			]);
+		}
+		process.exit(0);
+	}
+}
@@ -0,0 +1,20 @@
+import workspace from '../utils/workspace';
+import onSignalExit from '../utils/onSignalExit';
+import Supervisor from './Supervisor';
+
+process.title = 'pot-supervisor';
+
+workspace.set(process.argv[2]);
+
+const supervisor = new Supervisor();
+
+// monitors keep running after the supervisor exits
+onSignalExit(() => supervisor.exit());
+
+supervisor
+	.start()
+	.then(() => process.connected && process.send('start'))
+	.catch((err) => {
+		console.error(err);
+		process.exit(1);
+	});
@@ -0,0 +1,45 @@
+import { writeJson, readJson, readdir, remove } from 'fs-extra';
+import { join } from 'path';
+import workspace from './workspace';
+
+// older reports of each app will be removed
+const MAX_CRASH_REPORTS = 100;
+
+const getReportFiles = async function getReportFiles(dir) {
+	const files = await readdir(dir);
+	return files
+		.filter((file) => /^\d+-\d+\.json$/.test(file))
+		.sort((a, b) => parseInt(a, 10) - parseInt(b, 10));
+};
+
+export async function writeCrashReport(report) {
+	const { name, instanceId, time } = report;
+	const dir = await workspace.getCrashesDir(name);
+	const file = join(dir, `${time.getTime()}-${instanceId}.json`);
+	await writeJson(file, report, { spaces: 2 });
+
+	const files = await getReportFiles(dir);
+	const outdated = files.slice(
+		0,
+		Math.max(0, files.length - MAX_CRASH_REPORTS),
+	);
+	await Promise.all(
+		outdated.map((outdatedFile) => remove(join(dir, outdatedFile))),
+	);
+	return file;
+}
+
+// returns the crash reports of an app, from the oldest to the latest
+export async function getCrashReports(name, options = {}) {
+	const { last } = options;
+	const dir = await workspace.getCrashesDir(name);
+	const files = await getReportFiles(dir);
+	const selected = last ? files.slice(-last) : files;
+	return Promise.all(selected.map((file) => readJson(join(dir, file))));
+}
+
+// returns the names of the apps which have crash reports
+export async function getCrashedNames() {
+	const dir = await workspace.getCrashesDir();
+	return readdir(dir);
+}
@@ -0,0 +1,20 @@
+// events of worker monitors, which could be hooked by `events` option
+
+export default {
+	SPAWN: 'spawn',
+	START: 'start',
+	RESTART: 'restart',
+	SLEEP: 'sleep',
+	CRASH: 'crash',
+	EXIT: 'exit',
+	STOP: 'stop',
+	STDOUT: 'stdout',
+	STDERR: 'stderr',
+	WARN: 'warn',
+	MEMORY_LIMIT: 'memory-limit',
+	UNHEALTHY: 'unhealthy',
+	RECYCLE: 'recycle',
+	COMPLETE: 'complete',
+	RUN: 'run',
+	UNEXPECTED_EXIT: 'unexpected-exit',
+};
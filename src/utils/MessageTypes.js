@@ -0,0 +1,8 @@
+// IPC message types between worker monitors and child processes
+
+export const MESSAGE = 'pot:message';
+export const REPLY = 'pot:reply';
+export const ACTION = 'pot:action';
+export const ACTIONS = 'pot:actions';
+export const STATE = 'pot:state';
+export const METRIC = 'pot:metric';
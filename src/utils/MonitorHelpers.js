@@ -0,0 +1,49 @@
+import { fork } from 'child_process';
+import { resolve } from 'path';
+import { isObject } from 'lodash';
+import AggregateError from 'aggregate-error';
+
+export function forkMonitor({ cwd, daemon, env }) {
+	const scriptFile = resolve(__dirname, '../../bin/monitor');
+	const stdio = daemon ? 'ignore' : 'inherit';
+	return fork(scriptFile, [], {
+		stdio: ['ipc', stdio, stdio],
+		cwd,
+		env: {
+			...process.env,
+			...env,
+		},
+	});
+}
+
+// send `start` message to the monitor process, resolves after all instances
+// have started
+export async function startMonitor(monitorProc, payload) {
+	return new Promise((resolve, reject) => {
+		const handleMonitorProcMessage = function handleMonitorProcMessage(msg) {
+			if (!isObject(msg)) return;
+
+			const { type } = msg;
+
+			if (type === 'start') {
+				monitorProc.removeListener('message', handleMonitorProcMessage);
+				resolve();
+			}
+			else if (type === 'error') {
+				monitorProc.removeListener('message', handleMonitorProcMessage);
+				reject(new AggregateError(msg.payload.errors));
+			}
+		};
+		monitorProc.on('message', handleMonitorProcMessage);
+
+		monitorProc.once('error', reject);
+
+		monitorProc.send({
+			type: 'start',
+			payload: {
+				...payload,
+				ppid: monitorProc.pid,
+			},
+		});
+	});
+}
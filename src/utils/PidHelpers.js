@@ -36,7 +36,7 @@ const parsePidFile = async function parsePidFile(pidFile) {
 	return { key, pidFile };
 };
 
-export { removePidFile };
+export { removePidFile, getPid };
 
 export async function getPidFile(keyOrMonitor) {
 	const key = getKey(keyOrMonitor);
@@ -73,5 +73,5 @@ export async function killPid(key, ppid, options = {}) {
 
 export async function writePid({ pidFile, pid }) {
 	logger.trace('pid file saved in', chalk.gray(pidFile));
-	await writeFile(pidFile, pid).catch((err) => logger.debug(err));
+	await writeFile(pidFile, `${pid}`).catch((err) => logger.debug(err));
 }
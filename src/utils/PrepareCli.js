@@ -1,8 +1,13 @@
-import { setLoggers } from 'pot-logger';
+import { logger, setLoggers } from 'pot-logger';
 import inquirer from 'inquirer';
 import Connection from '../Connection';
 import workspace from './workspace';
 import validateBySchema from './validateBySchema';
+import resolveConfig from './resolveConfig';
+import ensureName from './ensureName';
+import parseTargetName from './parseTargetName';
+import { resolve } from 'path';
+import { isUndefined } from 'lodash';
 
 export async function ensureArg(options) {
 	const { value, errorMessage, getChoices, type = 'list', ...other } = options;
@@ -32,21 +37,45 @@ export function prepareRun(schema, argv) {
 	setLoggers('logLevel', argv.logLevel);
 }
 
+// the target could be `name#N` or `--instance N` to target the instance #N
+// only, and then `targetName` will be `name #N`
 export async function prepareTarget(argv = {}, options = {}) {
-	const { name } = argv;
-	const targetName = await ensureArg({
-		value: name,
+	const target = await ensureArg({
+		value: argv.name,
 		message: 'Please select the target app',
 		errorMessage: 'No process is running',
 		getChoices: Connection.getNames,
 	});
 
 	const { noConnection, ...connectionOption } = options;
-	if (noConnection) return { targetName };
+	if (noConnection) return { targetName: target };
 
-	const connection = await Connection.getByName(targetName, connectionOption);
+	const { name, instance = argv.instance } = parseTargetName(target);
+	const targetName = isUndefined(instance) ? name : `${name} #${instance}`;
+	const connection = await Connection.getByName(name, {
+		...connectionOption,
+		instance,
+	});
 	if (!connection || !connection.instances.length) {
 		throw new Error(`"${targetName}" NOT found`);
 	}
-	return { connection, targetName };
+	return { connection, targetName, instance };
+}
+
+// get the names of the running apps which are defined in the config file,
+// only if the config file is provided and no target name is specified
+export async function getConfigTargetNames(argv = {}) {
+	const { name, config } = argv;
+	if (name || !config) return;
+
+	const { apps, ...app } = resolveConfig({ config }, 'config');
+	const names = (apps || [app]).map(({ name, cwd }) => {
+		return ensureName({ name, cwd: resolve(cwd || process.cwd()) }).name;
+	});
+	const onlineNames = await Connection.getNames();
+	return names.filter((name) => {
+		if (~onlineNames.indexOf(name)) return true;
+		logger.warn(`"${name}" is not running`);
+		return false;
+	});
 }
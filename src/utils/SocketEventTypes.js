@@ -1,5 +1,9 @@
 export const CALL = 'CALL';
 
+// supervisor daemon
+export const SUPERVISE = 'SUPERVISE';
+export const SUPERVISED = 'SUPERVISED';
+
 // TODO: deprecated
 export const DEPRECATED_BRIDGE = 'bridge';
 
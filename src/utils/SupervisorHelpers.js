@@ -0,0 +1,52 @@
+import { fork } from 'child_process';
+import { resolve, join } from 'path';
+import { ensureLocalDomainPath } from 'create-local-domain-socket';
+import { logger } from 'pot-logger';
+import workspace from './workspace';
+import { startClient } from './SocketsHelpers';
+
+export async function getSupervisorFiles() {
+	const dir = await workspace.getSupervisorDir();
+	return {
+		logsDir: dir,
+		pidFile: join(dir, 'supervisor.pid'),
+		socketPath: ensureLocalDomainPath(join(dir, 'supervisor.sock')),
+	};
+}
+
+// returns the client socket of the supervisor of current workspace, or
+// `undefined` if the supervisor is not running
+export async function connectSupervisor() {
+	const { socketPath } = await getSupervisorFiles();
+	return startClient(socketPath, { silence: true });
+}
+
+const spawnSupervisor = async function spawnSupervisor() {
+	const scriptFile = resolve(__dirname, '../../bin/supervisor');
+	const proc = fork(scriptFile, [workspace.getName()], {
+		detached: true,
+		stdio: ['ignore', 'ignore', 'ignore', 'ipc'],
+	});
+	logger.debug('supervisor pid', proc.pid);
+
+	await new Promise((resolve, reject) => {
+		proc.once('message', resolve);
+		proc.once('error', reject);
+		proc.once('exit', (code) => {
+			reject(new Error(`Supervisor exited with code ${code}`));
+		});
+	});
+
+	proc.disconnect();
+	proc.unref();
+};
+
+// returns the client socket of the supervisor, and spawns the supervisor
+// daemon if it is not running
+export async function ensureSupervisor() {
+	const socket = await connectSupervisor();
+	if (socket) return socket;
+
+	await spawnSupervisor();
+	return connectSupervisor();
+}
@@ -0,0 +1,41 @@
+const byteUnits = {
+	b: 1,
+	k: 1024,
+	m: 1024 * 1024,
+	g: 1024 * 1024 * 1024,
+	t: 1024 * 1024 * 1024 * 1024,
+};
+
+// i.e. `512M`, `1.5g`, `100kb`, `1024`
+export function parseBytes(value) {
+	if (typeof value === 'number') return value;
+
+	const matches = /^\s*(\d+(?:\.\d+)?)\s*([bkmgt]?)b?\s*$/i.exec(value);
+	if (!matches) {
+		throw new Error(`Invalid bytes value "${value}"`);
+	}
+
+	const [, num, unit] = matches;
+	return Math.round(parseFloat(num) * byteUnits[unit.toLowerCase() || 'b']);
+}
+
+const durationUnits = {
+	ms: 1,
+	s: 1000,
+	m: 60 * 1000,
+	h: 60 * 60 * 1000,
+	d: 24 * 60 * 60 * 1000,
+};
+
+// returns milliseconds, i.e. `500ms`, `30s`, `6h`, `1.5d`, `1000`
+export function parseDuration(value) {
+	if (typeof value === 'number') return value;
+
+	const matches = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?\s*$/i.exec(value);
+	if (!matches) {
+		throw new Error(`Invalid duration value "${value}"`);
+	}
+
+	const [, num, unit = 'ms'] = matches;
+	return Math.round(parseFloat(num) * durationUnits[unit.toLowerCase()]);
+}
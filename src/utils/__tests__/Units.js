@@ -0,0 +1,36 @@
+import { parseBytes, parseDuration } from '../Units';
+
+describe(__filename, () => {
+	test('should parseBytes() return number directly', () => {
+		expect(parseBytes(1024)).toBe(1024);
+	});
+
+	test('should parseBytes() parse units', () => {
+		expect(parseBytes('100')).toBe(100);
+		expect(parseBytes('1K')).toBe(1024);
+		expect(parseBytes('512M')).toBe(512 * 1024 * 1024);
+		expect(parseBytes('1.5g')).toBe(1.5 * 1024 * 1024 * 1024);
+		expect(parseBytes('2MB')).toBe(2 * 1024 * 1024);
+	});
+
+	test('should parseBytes() throw error if value is invalid', () => {
+		expect(() => parseBytes('hello')).toThrow();
+	});
+
+	test('should parseDuration() return number directly', () => {
+		expect(parseDuration(1000)).toBe(1000);
+	});
+
+	test('should parseDuration() parse units', () => {
+		expect(parseDuration('100')).toBe(100);
+		expect(parseDuration('500ms')).toBe(500);
+		expect(parseDuration('30s')).toBe(30 * 1000);
+		expect(parseDuration('5m')).toBe(5 * 60 * 1000);
+		expect(parseDuration('6h')).toBe(6 * 60 * 60 * 1000);
+		expect(parseDuration('1.5d')).toBe(1.5 * 24 * 60 * 60 * 1000);
+	});
+
+	test('should parseDuration() throw error if value is invalid', () => {
+		expect(() => parseDuration('6 hours')).toThrow();
+	});
+});
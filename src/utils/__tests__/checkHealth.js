@@ -0,0 +1,56 @@
+import http from 'http';
+import checkHealth, { withInstancePort } from '../checkHealth';
+
+describe(__filename, () => {
+	let server;
+	let port;
+
+	beforeAll((done) => {
+		server = http.createServer((req, res) => {
+			res.statusCode = req.url === '/fail' ? 500 : 200;
+			res.end();
+		});
+		server.listen(0, () => {
+			({ port } = server.address());
+			done();
+		});
+	});
+
+	afterAll((done) => {
+		server.close(done);
+	});
+
+	test('should `url` check resolve if responded ok', async () => {
+		await checkHealth({ url: `http://localhost:${port}/` });
+	});
+
+	test('should `url` check reject if responded error', async () => {
+		const err = await checkHealth({
+			url: `http://localhost:${port}/fail`,
+		}).catch((err) => err);
+		expect(err.message).toBe('Responded with status code 500');
+	});
+
+	test('should `port` check resolve if connected', async () => {
+		await checkHealth({ port });
+	});
+
+	test('should `port` check resolve by `$PORT`', async () => {
+		await checkHealth(withInstancePort({ port: '$PORT' }, port));
+	});
+
+	test('should `withInstancePort` replace `$PORT`', () => {
+		const options = withInstancePort(
+			{ url: 'http://localhost:$PORT/health', command: 'nc -z host $PORT' },
+			3000,
+		);
+		expect(options.url).toBe('http://localhost:3000/health');
+		expect(options.command).toBe('nc -z host 3000');
+	});
+
+	test('should `command` check reject if exited with error', async () => {
+		await checkHealth({ command: 'exit 0' });
+		const err = await checkHealth({ command: 'exit 1' }).catch((err) => err);
+		expect(err.code).toBe(1);
+	});
+});
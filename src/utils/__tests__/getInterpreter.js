@@ -0,0 +1,47 @@
+import getInterpreter from '../getInterpreter';
+import { writeFile, chmod, remove } from 'fs-extra';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+describe(__filename, () => {
+	const file = join(tmpdir(), `pot-js-interpreter-${Date.now()}`);
+
+	afterEach(async () => remove(file));
+
+	test('should detect node by extension', () => {
+		expect(getInterpreter('/path/to/index.js')).toBe('node');
+	});
+
+	test('should detect interpreter by extension', () => {
+		expect(getInterpreter('/path/to/worker.py')).toBe('python3');
+	});
+
+	test('should detect interpreter by shebang', async () => {
+		await writeFile(file, '#!/usr/bin/env ruby\nputs "hello"\n');
+		expect(getInterpreter(file)).toBe('/usr/bin/env ruby');
+	});
+
+	test('should detect node by shebang', async () => {
+		await writeFile(file, '#!/usr/bin/env node\nconsole.log("hello")\n');
+		expect(getInterpreter(file)).toBe('node');
+	});
+
+	test('should return `none` if executable file has no shebang', async () => {
+		await writeFile(file, Buffer.from([0x7f, 0x45, 0x4c, 0x46]));
+		await chmod(file, 0o755);
+		expect(getInterpreter(file)).toBe('none');
+	});
+
+	test('should return `node` if file is not executable', async () => {
+		await writeFile(file, 'console.log("hello")\n');
+		expect(getInterpreter(file)).toBe('node');
+	});
+
+	test('should return `node` if it is a directory', () => {
+		expect(getInterpreter(tmpdir())).toBe('node');
+	});
+
+	test('should return `node` if file is not exists', () => {
+		expect(getInterpreter('/path/to/index')).toBe('node');
+	});
+});
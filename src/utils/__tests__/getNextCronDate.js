@@ -0,0 +1,19 @@
+import getNextCronDate from '../getNextCronDate';
+
+describe(__filename, () => {
+	test('should return the next date', () => {
+		const currentDate = new Date(2018, 0, 1, 10, 30);
+		expect(getNextCronDate('0 3 * * *', currentDate)).toEqual(
+			new Date(2018, 0, 2, 3, 0),
+		);
+		expect(getNextCronDate('*/15 * * * *', currentDate)).toEqual(
+			new Date(2018, 0, 1, 10, 45),
+		);
+	});
+
+	test('should throw error if expression is invalid', () => {
+		expect(() => getNextCronDate('hello')).toThrow(
+			'Invalid cron expression "hello"',
+		);
+	});
+});
@@ -0,0 +1,35 @@
+import getRestartDelay from '../getRestartDelay';
+
+describe(__filename, () => {
+	test('should `fixed` policy work', () => {
+		const policy = { type: 'fixed', minDelay: 1000 };
+		expect(getRestartDelay(policy, 1)).toBe(1000);
+		expect(getRestartDelay(policy, 5)).toBe(1000);
+	});
+
+	test('should `linear` policy work', () => {
+		const policy = { type: 'linear', minDelay: 1000 };
+		expect(getRestartDelay(policy, 1)).toBe(1000);
+		expect(getRestartDelay(policy, 3)).toBe(3000);
+	});
+
+	test('should `exponential` policy work', () => {
+		const policy = { type: 'exponential', minDelay: 1000 };
+		expect(getRestartDelay(policy, 1)).toBe(1000);
+		expect(getRestartDelay(policy, 4)).toBe(8000);
+	});
+
+	test('should not exceed `maxDelay`', () => {
+		const policy = { type: 'exponential', minDelay: 1000, maxDelay: 5000 };
+		expect(getRestartDelay(policy, 10)).toBe(5000);
+	});
+
+	test('should `jitter` work', () => {
+		const policy = { type: 'fixed', minDelay: 1000, jitter: 0.1 };
+		for (let i = 0; i < 10; i++) {
+			const delay = getRestartDelay(policy, 1);
+			expect(delay).toBeGreaterThanOrEqual(900);
+			expect(delay).toBeLessThanOrEqual(1100);
+		}
+	});
+});
@@ -0,0 +1,48 @@
+import getSystemdUnit from '../getSystemdUnit';
+
+describe(__filename, () => {
+	const options = {
+		workspace: 'defaults',
+		execPath: '/usr/bin/node',
+		command: '/usr/lib/node_modules/pot-js/bin/pot',
+		cwd: '/home/pot',
+		env: { PATH: '/usr/bin:/bin', HOME: '/home/pot' },
+		user: 'pot',
+	};
+
+	test('should run `pot resurrect` and `pot stopall`', () => {
+		const unit = getSystemdUnit(options);
+		expect(unit).toMatch(
+			'ExecStart=/usr/bin/node /usr/lib/node_modules/pot-js/bin/pot resurrect --workspace defaults\n',
+		);
+		expect(unit).toMatch(
+			'ExecStop=/usr/bin/node /usr/lib/node_modules/pot-js/bin/pot stopall --force --workspace defaults\n',
+		);
+		expect(unit).toMatch('Type=oneshot\nRemainAfterExit=yes\n');
+		expect(unit).not.toMatch('PIDFile=');
+		expect(unit).toMatch('WorkingDirectory=/home/pot\n');
+		expect(unit).toMatch('Environment="PATH=/usr/bin:/bin"\n');
+		expect(unit).toMatch('User=pot\n');
+		expect(unit).toMatch('WantedBy=multi-user.target\n');
+	});
+
+	test('should quote environment variables', () => {
+		const unit = getSystemdUnit({
+			...options,
+			env: { HOME: '/home/my pot', MESSAGE: 'say "100%"\\n' },
+		});
+		expect(unit).toMatch('Environment="HOME=/home/my pot"\n');
+		expect(unit).toMatch('Environment="MESSAGE=say \\"100%%\\"\\\\n"\n');
+	});
+
+	test('should start apps from config file', () => {
+		const unit = getSystemdUnit({ ...options, configFile: '/app/.potrc' });
+		expect(unit).toMatch('--config /app/.potrc\n');
+	});
+
+	test('should support user mode', () => {
+		const unit = getSystemdUnit({ ...options, userMode: true });
+		expect(unit).not.toMatch('User=');
+		expect(unit).toMatch('WantedBy=default.target\n');
+	});
+});
@@ -0,0 +1,22 @@
+import parseTargetName from '../parseTargetName';
+
+describe(__filename, () => {
+	test('should parse `name#N`', () => {
+		expect(parseTargetName('my-app#3')).toEqual({
+			name: 'my-app',
+			instance: 3,
+		});
+	});
+
+	test('should return name only if instance is not specified', () => {
+		expect(parseTargetName('my-app')).toEqual({ name: 'my-app' });
+	});
+
+	test('should not parse `#` without id', () => {
+		expect(parseTargetName('my-app#')).toEqual({ name: 'my-app#' });
+	});
+
+	test('should return undefined name if target is not set', () => {
+		expect(parseTargetName()).toEqual({ name: undefined });
+	});
+});
@@ -0,0 +1,62 @@
+import resolveConfig from '../resolveConfig';
+import { writeFile, remove } from 'fs-extra';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+describe(__filename, () => {
+	let configFile;
+
+	// config file should be unique, because `require()` caches modules
+	const writeConfig = (config) => {
+		configFile = join(tmpdir(), `pot-js-config-${Date.now()}.json`);
+		return writeFile(configFile, JSON.stringify(config));
+	};
+
+	afterEach(async () => remove(configFile));
+
+	test('should merge config file and argv', async () => {
+		await writeConfig({ entry: 'a.js', daemon: true });
+		const argv = resolveConfig({ config: configFile, daemon: false }, 'config');
+		expect(argv).toMatchObject({ entry: 'a.js', daemon: false });
+	});
+
+	test('should resolve apps with defaults and argv overrides', async () => {
+		await writeConfig({
+			production: false,
+			execArgs: ['--harmony'],
+			apps: [
+				{ name: 'a', entry: 'a.js' },
+				{ name: 'b', entry: 'b.js', execArgs: ['--inspect'] },
+			],
+		});
+		const argv = resolveConfig(
+			{ config: configFile, daemon: true, name: 'c' },
+			'config',
+		);
+		expect(argv.name).toBe('c');
+		expect(argv.entry).toBe(undefined);
+		expect(argv.apps).toEqual([
+			{
+				name: 'a',
+				entry: 'a.js',
+				production: false,
+				execArgs: ['--harmony'],
+				daemon: true,
+				config: configFile,
+			},
+			{
+				name: 'b',
+				entry: 'b.js',
+				production: false,
+				execArgs: ['--inspect'],
+				daemon: true,
+				config: configFile,
+			},
+		]);
+	});
+
+	test('should not throw error if default config file is not exists', () => {
+		const schema = { properties: { config: { default: 'not-exists' } } };
+		expect(resolveConfig({}, 'config', schema)).toEqual({});
+	});
+});
@@ -0,0 +1,82 @@
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { exec } from 'child_process';
+import { isString } from 'lodash';
+
+const checkHttp = function checkHttp(url, timeout) {
+	const { get } = /^https:/.test(url) ? https : http;
+	return new Promise((resolve, reject) => {
+		const req = get(url, (res) => {
+			res.resume();
+			const { statusCode } = res;
+			if (statusCode >= 400) {
+				reject(new Error(`Responded with status code ${statusCode}`));
+			}
+			else {
+				resolve();
+			}
+		});
+		req.setTimeout(timeout, () => {
+			req.abort();
+			reject(new Error('Timeout'));
+		});
+		req.on('error', reject);
+	});
+};
+
+const checkTcp = function checkTcp(port, host, timeout) {
+	return new Promise((resolve, reject) => {
+		const socket = net.connect({ port, host }, () => {
+			socket.end();
+			resolve();
+		});
+		socket.setTimeout(timeout, () => {
+			socket.destroy();
+			reject(new Error('Timeout'));
+		});
+		socket.on('error', reject);
+	});
+};
+
+const checkCommand = function checkCommand(command, cwd, timeout) {
+	return new Promise((resolve, reject) => {
+		exec(command, { cwd, timeout }, (err) => (err ? reject(err) : resolve()));
+	});
+};
+
+// replace `$PORT` in `url`, `port` and `command` with the port of the
+// instance, so that each instance could be checked by itself
+export function withInstancePort(options, instancePort) {
+	const replace = (value) =>
+		isString(value) ? value.replace(/\$PORT\b/g, instancePort) : value;
+	const { url, port, command } = options;
+	return {
+		...options,
+		url: replace(url),
+		port: port === '$PORT' ? instancePort : port,
+		command: replace(command),
+	};
+}
+
+// resolves if healthy, otherwise rejects with the reason
+export default async function checkHealth(options = {}) {
+	const {
+		url,
+		port,
+		host = 'localhost',
+		command,
+		cwd,
+		timeout = 5000,
+	} = options;
+
+	if (url) {
+		await checkHttp(url, timeout);
+	}
+	else if (port) {
+		await checkTcp(port, host, timeout);
+	}
+	else if (command) {
+		await checkCommand(command, cwd, timeout);
+	}
+}
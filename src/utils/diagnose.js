@@ -0,0 +1,271 @@
+import { readFile, remove, pathExists } from 'fs-extra';
+import { basename, resolve, sep } from 'path';
+import globby from 'globby';
+import processExists from 'process-exists';
+import pidUsage from 'pidusage';
+import fkill from 'fkill';
+import delay from 'delay';
+import { trim, noop } from 'lodash';
+import workspace from './workspace';
+import { createClient } from './ipc';
+import { CALL } from './SocketEventTypes';
+import { removePidFile } from './PidHelpers';
+import { getSocketPath, removeDomainSocketFile } from './SocketsHelpers';
+import { getSupervisorFiles } from './SupervisorHelpers';
+import { getOfflineDirs } from './flushOfflineDirs';
+
+const PROBE_TIMEOUT = 3000;
+const MONITOR_SCRIPT = resolve(__dirname, '../../bin/monitor');
+
+const readPid = async function readPid(pidFile) {
+	try {
+		return +trim(await readFile(pidFile, 'utf-8')) || null;
+	}
+	catch (err) {
+		return null;
+	}
+};
+
+const isAlive = async function isAlive(pid) {
+	return !!pid && processExists(pid);
+};
+
+// the pid may be reused by another process after rebooting, so only the
+// processes started by pot-js could be killed. workers have `POT_INSTANCE_ID`
+// env, monitors run `bin/monitor` (unless `monitorProcessTitle` is changed).
+// always `false` if `/proc` is not available
+const isPotProcess = async function isPotProcess(pid) {
+	const readProc = async (file) =>
+		(await readFile(`/proc/${pid}/${file}`, 'utf-8')).split('\0');
+	try {
+		const environ = await readProc('environ');
+		if (environ.some((env) => env.indexOf('POT_INSTANCE_ID=') === 0)) {
+			return true;
+		}
+	}
+	catch (err) {}
+	try {
+		return !!~(await readProc('cmdline')).indexOf(MONITOR_SCRIPT);
+	}
+	catch (err) {
+		return false;
+	}
+};
+
+const withTimeout = async function withTimeout(promise) {
+	const timeoutPromise = delay(PROBE_TIMEOUT);
+	try {
+		return await Promise.race([
+			promise,
+			timeoutPromise.then(() => {
+				throw new Error('TIMEOUT');
+			}),
+		]);
+	}
+	finally {
+		timeoutPromise.cancel();
+	}
+};
+
+// returns `online` with the state, `offline` if the monitor is gone, or
+// `unreachable` if the monitor is not responding
+const probeMonitor = async function probeMonitor(socketPath) {
+	const clientPromise = createClient(socketPath);
+	let socket;
+	try {
+		socket = await withTimeout(clientPromise);
+	}
+	catch (err) {
+		if (err.message !== 'TIMEOUT') return { status: 'offline' };
+		clientPromise.then((socket) => socket.close()).catch(noop);
+		return { status: 'unreachable' };
+	}
+
+	try {
+		const state = await withTimeout(socket.request(CALL, { method: 'state' }));
+		return { status: 'online', state };
+	}
+	catch (err) {
+		return { status: 'unreachable' };
+	}
+	finally {
+		socket.close().catch(noop);
+	}
+};
+
+const removeRuntimeFiles = async function removeRuntimeFiles(files) {
+	await Promise.all([
+		files.pidFile && removePidFile(files.pidFile),
+		files.socketPath && removeDomainSocketFile(files.socketPath),
+	]);
+};
+
+const getStalePidIssue = function getStalePidIssue(key, pidFile) {
+	return {
+		type: 'stale-pid',
+		target: key,
+		message: 'The pid file refers to a process which is not started by pot-js',
+		suggestion: 'Remove the pid file',
+		fix: async () => removePidFile(pidFile),
+	};
+};
+
+const diagnoseInstance = async function diagnoseInstance(key, files) {
+	const { pidFile, socketPath } = files;
+	const pid = pidFile && (await readPid(pidFile));
+	const { status, state } = await probeMonitor(socketPath);
+
+	if (status === 'online') return { state };
+
+	const isAlivePid = await isAlive(pid);
+	if (isAlivePid && !(await isPotProcess(pid))) {
+		return { issue: getStalePidIssue(key, pidFile) };
+	}
+
+	if (status === 'unreachable') {
+		// the parent of a verified worker should be its monitor, unless the
+		// worker has been adopted by init
+		const { ppid } = isAlivePid ? await pidUsage(pid).catch(() => ({})) : {};
+		const monitorPid = ppid > 1 && ppid;
+		return {
+			issue: {
+				type: 'unreachable-monitor',
+				target: monitorPid ? `${key} (pid ${monitorPid})` : key,
+				message: 'The monitor is running but not responding',
+				suggestion: monitorPid ?
+					'Kill the monitor and its workers, then start the app again' :
+					'Find and kill the monitor process, then start the app again',
+				fix:
+					monitorPid &&
+					(async () => {
+						await fkill([monitorPid, pid], { force: true }).catch(noop);
+						await removeRuntimeFiles(files);
+					}),
+			},
+		};
+	}
+
+	if (isAlivePid) {
+		return {
+			issue: {
+				type: 'orphaned-worker',
+				target: `${key} (pid ${pid})`,
+				message: 'The worker is running but its monitor is gone',
+				suggestion: 'Kill the worker and remove its pid file',
+				fix: async () => {
+					await fkill(pid, { force: true }).catch(noop);
+					await removeRuntimeFiles(files);
+				},
+			},
+		};
+	}
+
+	return {
+		issue: {
+			type: pidFile ? 'stale-pid' : 'stale-socket',
+			target: key,
+			message: pidFile ?
+				'The pid file refers to a process which is not running' :
+				'The socket file is not listened by any monitor',
+			suggestion: 'Remove the file',
+			fix: async () => removeRuntimeFiles(files),
+		},
+	};
+};
+
+const diagnoseSupervisor = async function diagnoseSupervisor() {
+	const files = await getSupervisorFiles();
+	const { pidFile } = files;
+	if (!(await pathExists(pidFile))) return;
+	if (await isAlive(await readPid(pidFile))) return;
+
+	return {
+		type: 'stale-supervisor',
+		target: pidFile,
+		message: 'The supervisor is not running',
+		suggestion: 'Remove the pid and socket files of the supervisor',
+		fix: async () => removeRuntimeFiles(files),
+	};
+};
+
+// audits the run dir, logs dir and process table of current workspace.
+// returns the issues, each has `type`, `target`, `message`, `suggestion` and
+// `fix()` (if it could be fixed automatically). issues with `info: true` are
+// not problems, and should not be fixed
+export default async function diagnose() {
+	const issues = [];
+	const runDir = await workspace.getRunDir();
+	const pidsDir = await workspace.DEPRECATED_getPidsDir();
+	const socketsDir = await workspace.DEPRECATED_getSocketsDir();
+
+	const pidFiles = await globby([`${runDir}/*.pid`, `${pidsDir}/*.pid`], {
+		absolute: true,
+	});
+	const socketPaths = await globby([`${runDir}/*.sock`, `${socketsDir}/*`], {
+		absolute: true,
+		onlyFiles: false,
+	});
+
+	// files of each instance, grouped by key
+	const filesByKey = {};
+	pidFiles.forEach((pidFile) => {
+		filesByKey[basename(pidFile, '.pid')] = { pidFile };
+	});
+	socketPaths.forEach((socketPath) => {
+		const key = basename(socketPath, '.sock');
+		filesByKey[key] = { ...filesByKey[key], socketPath };
+	});
+
+	const onlineNames = [];
+	const onlineFiles = [];
+	await Promise.all(
+		Object.keys(filesByKey).map(async (key) => {
+			const files = filesByKey[key];
+			if (!files.socketPath) files.socketPath = await getSocketPath(key);
+
+			const { state, issue } = await diagnoseInstance(key, files);
+			if (issue) {
+				issues.push(issue);
+			}
+			else {
+				onlineNames.push(state.name);
+				onlineFiles.push(files.pidFile, files.socketPath);
+			}
+		}),
+	);
+
+	const supervisorIssue = await diagnoseSupervisor();
+	if (supervisorIssue) issues.push(supervisorIssue);
+
+	// logs of stopped apps are kept on purpose
+	(await getOfflineDirs(onlineNames)).forEach((name) => {
+		issues.push({
+			type: 'offline-logs',
+			target: name,
+			message: 'The logs directories belong to the apps which are not running',
+			suggestion: 'Run `pot flushall` to remove them',
+			info: true,
+		});
+	});
+
+	// should be the last ones, to be removed after fixing the files inside
+	await Promise.all(
+		[pidsDir, socketsDir].map(async (dir) => {
+			if (!(await pathExists(dir))) return;
+			const isInUse = onlineFiles.some(
+				(file) => file && file.indexOf(dir + sep) === 0,
+			);
+			issues.push({
+				type: 'deprecated-dir',
+				target: dir,
+				message: 'The directory was used by older versions of pot-js',
+				suggestion: isInUse ?
+					'Restart the running apps to migrate, then remove the directory' :
+					'Remove the directory',
+				fix: !isInUse && (async () => remove(dir)),
+			});
+		}),
+	);
+
+	return issues;
+}
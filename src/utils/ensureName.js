@@ -0,0 +1,27 @@
+import { resolve } from 'path';
+import { isNumber } from 'lodash';
+import isWin from './isWin';
+
+export default function ensureName(options) {
+	if (options.name) {
+		if (isNumber(options.name)) {
+			options.name += '';
+		}
+		return options;
+	}
+
+	const { cwd } = options;
+
+	try {
+		const { name } = require(resolve(cwd, 'package.json'));
+		if (!name) {
+			throw new Error();
+		}
+		options.name = name;
+	}
+	catch (err) {
+		const sepRegExp = new RegExp(isWin ? '\\\\' : '/', 'g');
+		options.name = cwd.replace(sepRegExp, '_');
+	}
+	return options;
+}
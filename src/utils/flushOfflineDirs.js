@@ -4,14 +4,20 @@ import workspace from '../utils/workspace';
 import { difference } from 'lodash';
 import { join } from 'path';
 
+// returns the names of the logs dirs which belong to no running app
+export async function getOfflineDirs(onlineNames) {
+	const cwd = await workspace.getLogsDir();
+	const all = await globby('*', {
+		onlyDirectories: true,
+		cwd,
+	});
+	return difference(all, onlineNames);
+}
+
 export default async function flushOfflineDirs(onlineNames) {
 	try {
 		const cwd = await workspace.getLogsDir();
-		const all = await globby('*', {
-			onlyDirectories: true,
-			cwd,
-		});
-		const offlines = difference(all, onlineNames);
+		const offlines = await getOfflineDirs(onlineNames);
 		await Promise.all(
 			offlines.map(async (name) => {
 				const logsDir = join(cwd, name);
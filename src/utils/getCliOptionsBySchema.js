@@ -44,6 +44,10 @@ export default function getCliOptionsBySchema(schema, blacklist = []) {
 		(acc, spec, key) => {
 			const prop = (acc[key] = { ...spec });
 			if (spec.enum) prop.choices = spec.enum;
+
+			// `required` of an object schema means its required props, but yargs
+			// would treat it as required options
+			if (Array.isArray(spec.required)) delete prop.required;
 			if (!blacklist.length || !~blacklist.indexOf(key)) {
 				skip(prop);
 			}
@@ -0,0 +1,64 @@
+import { extname } from 'path';
+import {
+	statSync,
+	accessSync,
+	constants,
+	openSync,
+	readSync,
+	closeSync,
+} from 'fs';
+
+const nodeExts = ['.js', '.mjs', '.cjs', '.json'];
+
+const interpretersByExt = {
+	'.py': 'python3',
+	'.rb': 'ruby',
+	'.pl': 'perl',
+	'.php': 'php',
+	'.sh': 'sh',
+	'.bash': 'bash',
+};
+
+const isExecutableFile = function isExecutableFile(file) {
+	try {
+		if (!statSync(file).isFile()) return false;
+		accessSync(file, constants.X_OK);
+		return true;
+	}
+	catch (err) {
+		return false;
+	}
+};
+
+const readShebang = function readShebang(file) {
+	let fd;
+	try {
+		fd = openSync(file, 'r');
+		const buffer = Buffer.alloc(256);
+		const bytes = readSync(fd, buffer, 0, buffer.length, 0);
+		const [firstLine] = buffer.toString('utf8', 0, bytes).split('\n');
+		return /^#!/.test(firstLine) ? firstLine.slice(2).trim() : '';
+	}
+	catch (err) {
+		return '';
+	}
+	finally {
+		if (fd !== undefined) closeSync(fd);
+	}
+};
+
+// returns `node`, `none` (execute the file directly) or the interpreter
+// command detected from the file extension or shebang
+export default function getInterpreter(file) {
+	const ext = extname(file);
+	if (~nodeExts.indexOf(ext)) return 'node';
+
+	const shebang = readShebang(file);
+	if (shebang) return /\bnode\b/.test(shebang) ? 'node' : shebang;
+
+	if (interpretersByExt[ext]) return interpretersByExt[ext];
+
+	// maybe a binary executable file, otherwise it should be a node module
+	// path without extension, or a directory to be resolved by node
+	return isExecutableFile(file) ? 'none' : 'node';
+}
@@ -0,0 +1,12 @@
+import { parseExpression } from 'cron-parser';
+
+export default function getNextCronDate(expression, currentDate = new Date()) {
+	try {
+		return parseExpression(expression, { currentDate })
+			.next()
+			.toDate();
+	}
+	catch (err) {
+		throw new Error(`Invalid cron expression "${expression}"`);
+	}
+}
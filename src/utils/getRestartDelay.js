@@ -0,0 +1,23 @@
+export default function getRestartDelay(policy = {}, attempts = 1) {
+	const {
+		type = 'fixed',
+		minDelay = 1000,
+		maxDelay = 60000,
+		jitter = 0,
+	} = policy;
+
+	let delay = minDelay;
+	if (type === 'linear') {
+		delay = minDelay * attempts;
+	}
+	else if (type === 'exponential') {
+		delay = minDelay * Math.pow(2, attempts - 1);
+	}
+
+	// `jitter` is a ratio, i.e. `0.1` means +/- 10% randomly
+	if (jitter) {
+		delay += delay * jitter * (Math.random() * 2 - 1);
+	}
+
+	return Math.round(Math.max(0, Math.min(delay, maxDelay)));
+}
@@ -0,0 +1,55 @@
+// quote the value of `Environment=`, escaping backslashes, quotes and
+// specifiers
+const quoteEnv = function quoteEnv(key, value) {
+	const escaped = `${key}=${value}`
+		.replace(/\\/g, '\\\\')
+		.replace(/"/g, '\\"')
+		.replace(/%/g, '%%');
+	return `"${escaped}"`;
+};
+
+// returns the content of a systemd unit file, which runs `pot resurrect` on
+// boot and `pot stopall` on shut down. the service remains active after
+// `pot resurrect` exits, so that it is not tied to any monitor process.
+// there is no `PIDFile`, because a workspace may run many monitors, and
+// each of them has its own pid file in the workspace
+export default function getSystemdUnit(options) {
+	const {
+		workspace,
+		execPath,
+		command,
+		cwd,
+		env = {},
+		configFile,
+		user,
+		userMode,
+	} = options;
+
+	const potCommand = `${execPath} ${command}`;
+	const workspaceArg = `--workspace ${workspace}`;
+	const startArgs = ['resurrect', workspaceArg];
+	if (configFile) startArgs.push(`--config ${configFile}`);
+
+	const service = [
+		'Type=oneshot',
+		'RemainAfterExit=yes',
+		!userMode && user && `User=${user}`,
+		...Object.keys(env).map((key) => `Environment=${quoteEnv(key, env[key])}`),
+		`WorkingDirectory=${cwd}`,
+		`ExecStart=${potCommand} ${startArgs.join(' ')}`,
+		`ExecStop=${potCommand} stopall --force ${workspaceArg}`,
+	].filter(Boolean);
+
+	return [
+		'[Unit]',
+		`Description=pot processes of workspace "${workspace}"`,
+		'After=network.target',
+		'',
+		'[Service]',
+		...service,
+		'',
+		'[Install]',
+		`WantedBy=${userMode ? 'default.target' : 'multi-user.target'}`,
+		'',
+	].join('\n');
+}
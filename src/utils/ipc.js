@@ -19,6 +19,14 @@ export async function createServer(socketPath) {
 	await createLocalDomainSocket(server, socketPath);
 	const wsServer = await Server.create({ server });
 
+	// closing ws server does not close the http server, so new connections
+	// will hang until the monitor process exits
+	const closeWsServer = wsServer.close.bind(wsServer);
+	wsServer.close = async function close() {
+		await closeWsServer();
+		server.close();
+	};
+
 	wsServer.reply('close', wsServer.close.bind(wsServer));
 	return wsServer;
 }
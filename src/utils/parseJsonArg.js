@@ -0,0 +1,9 @@
+// parse as JSON if possible, otherwise returns the string directly
+export default function parseJsonArg(arg) {
+	try {
+		return JSON.parse(arg);
+	}
+	catch (err) {
+		return arg;
+	}
+}
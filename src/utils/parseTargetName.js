@@ -0,0 +1,8 @@
+// parses `name#N` to `{ name, instance: N }`, which targets the instance #N
+// of the app only
+export default function parseTargetName(target) {
+	const matches = /^(.+)#(\d+)$/.exec(target);
+	if (!matches) return { name: target };
+	const [, name, instance] = matches;
+	return { name, instance: +instance };
+}
@@ -1,7 +1,21 @@
-import { merge as lodashMerge } from 'lodash';
+import { merge as lodashMerge, mergeWith, omit } from 'lodash';
 import importFile from 'import-file';
 import { isAbsolute } from 'path';
 
+// arrays (like `args` or `execArgs`) should be replaced instead of merged
+const replaceArray = (objValue, srcValue) =>
+	Array.isArray(srcValue) ? srcValue : undefined;
+
+// each app inherits the other top-level config props as defaults, and
+// command line arguments (except `entry` and `name`) override them all
+const resolveApps = function resolveApps(config, argv) {
+	const { apps, ...defaults } = config;
+	const overrides = omit(argv, ['_', '$0', 'entry', 'name']);
+	return apps.map((app) =>
+		mergeWith({}, defaults, app, overrides, replaceArray),
+	);
+};
+
 export default function resolveConfig(argv = {}, key, schema, options = {}) {
 	const defaultVal =
 		schema &&
@@ -19,6 +33,9 @@ export default function resolveConfig(argv = {}, key, schema, options = {}) {
 		const useFindUp = !isAbsolute(configFile);
 		try {
 			const config = importFile(configFile, { useFindUp, ...importOptions });
+			if (config && Array.isArray(config.apps)) {
+				return merge({ apps: resolveApps(config, argv) }, argv);
+			}
 			return merge(config, argv);
 		}
 		catch (err) {
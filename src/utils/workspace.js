@@ -10,28 +10,42 @@ const base = join(homeOrTmp, '.config', pkgName);
 const workspace = {
 	default: process.env.POT_WORKSPACE || schema.properties.workspace.default,
 
+	getName() {
+		return this._name || this.default;
+	},
+
 	async _getDir(...paths) {
-		const dir = join(
-			base,
-			this._name || this.default,
-			...paths.filter(Boolean),
-		);
+		const dir = join(base, this.getName(), ...paths.filter(Boolean));
 		await ensureDir(dir);
 		return dir;
 	},
 
+	// deprecated dirs are not created, they are only used to find the files of
+	// the processes started by older versions
 	async DEPRECATED_getPidsDir() {
-		return this._getDir('pids');
+		return join(await this._getDir(), 'pids');
 	},
 
 	async DEPRECATED_getSocketsDir() {
-		return this._getDir('sockets');
+		return join(await this._getDir(), 'sockets');
 	},
 
 	async getRunDir() {
 		return this._getDir('pot-run');
 	},
 
+	async getSnapshotFile() {
+		return join(await this._getDir(), 'snapshot.json');
+	},
+
+	async getSupervisorDir() {
+		return this._getDir('supervisor');
+	},
+
+	async getCrashesDir(name) {
+		return this._getDir('crashes', name);
+	},
+
 	async getLogsDir(name) {
 		return this._getDir('logs', name);
 	},
@@ -0,0 +1,92 @@
+import { getEnvVar } from '../utils/EnvVar';
+import * as MessageTypes from '../utils/MessageTypes';
+
+const env = getEnvVar() || {};
+
+// the options (config) of the app, or an empty object if the process is not
+// spawned by pot
+export const config = env;
+export const name = env.name;
+export const workspace = env.workspace;
+export const instanceId = +process.env.POT_INSTANCE_ID || undefined;
+
+// IPC channel is only available for Node.js programs
+const send = function send(message) {
+	if (!process.send || !process.connected) return false;
+	process.send(message);
+	return true;
+};
+
+const actions = {};
+
+const reply = function reply(id, message) {
+	send({ type: MessageTypes.REPLY, id, ...message });
+};
+
+const handleMessage = async function handleMessage(message) {
+	if (!message || message.type !== MessageTypes.ACTION) return;
+
+	const { id, payload } = message;
+	try {
+		const result = await actions[payload.name](payload.params);
+		reply(id, { payload: result });
+	}
+	catch (err) {
+		reply(id, { error: (err && err.message) || `${err}` });
+	}
+};
+
+// tell the monitor the process is ready, works with `waitReady` option
+export function ready() {
+	return send('ready');
+}
+
+// merge `partialState` to the state of the instance, which could be read by
+// `connection#getState()`
+export function setState(partialState) {
+	return send({ type: MessageTypes.STATE, payload: partialState });
+}
+
+// report a metric value, which will be shown as `monitor.metrics` in state
+export function reportMetric(metricName, value) {
+	return send({
+		type: MessageTypes.METRIC,
+		payload: { name: metricName, value },
+	});
+}
+
+// register an action which could be called by `pot action <name> <action>`.
+// the returned value (or resolved value) of `handler` will be sent back
+export function registerAction(actionName, handler) {
+	if (!process.send) return false;
+
+	if (!Object.keys(actions).length) {
+		process.on('message', handleMessage);
+	}
+
+	actions[actionName] = handler;
+	return send({ type: MessageTypes.ACTIONS, payload: Object.keys(actions) });
+}
+
+const shutdownHandlers = [];
+
+const shutDown = async function shutDown(signal) {
+	for (const handler of shutdownHandlers) {
+		try {
+			await handler(signal);
+		}
+		catch (err) {
+			console.error(err);
+		}
+	}
+	process.exit(0);
+};
+
+// run `handler` before the process exits when receiving `killSignal`.
+// the process will exit after all handlers are resolved
+export function onShutdown(handler) {
+	if (!shutdownHandlers.length) {
+		process.once(env.killSignal || 'SIGTERM', shutDown);
+	}
+	shutdownHandlers.push(handler);
+}
@@ -117,6 +117,23 @@ describe('cli `pot start` with config file', async () => {
 			.assertUntil(/started/)
 			.doneAndKill();
 	});
+
+	test('should start all `apps` of config file', async () => {
+		await writeConfig(
+			'.potrc.json',
+			JSON.stringify({
+				entry: 'fixtures/server.js',
+				apps: [
+					{ name: 'a', env: { PORT: 3001 } },
+					{ name: 'b', env: { PORT: 3002 } },
+				],
+			}),
+		);
+		return Kapok.start(command, ['start'], { cwd: __dirname })
+			.assertUntil(/"a #1" started/)
+			.assertUntil(/"b #1" started/)
+			.doneAndKill();
+	});
 });
 
 describe('cli `pot stop`', () => {
@@ -0,0 +1,11 @@
+require('babel-register')();
+const { registerAction } = require('../../src/worker');
+
+registerAction('echo', (params) => ({ echo: params }));
+registerAction('fail', () => {
+	throw new Error('action failed');
+});
+registerAction('exit', () => process.exit(1));
+
+setInterval(() => {}, 1000);
+console.log('action server started');
@@ -0,0 +1,3 @@
+console.log('hello');
+console.error('something went wrong');
+setTimeout(() => process.exit(1), 100);
@@ -0,0 +1 @@
+setTimeout(() => process.exit(+process.env.EXIT_CODE || 0), 500);
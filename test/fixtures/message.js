@@ -0,0 +1,10 @@
+// reply the received message
+process.on('message', (message) => {
+	if (message && message.type === 'pot:message' && message.id) {
+		const { id, payload } = message;
+		process.send({ type: 'pot:reply', id, payload: { echo: payload } });
+	}
+});
+
+setInterval(() => {}, 1000);
+console.log('message server started');
@@ -0,0 +1,12 @@
+require('promise-ws')
+	.Server.create({ port: process.env.PORT || 3000 })
+	.then((server) => {
+		server.reply('test', (data) => {
+			return data;
+		});
+		console.log('socket server started');
+		process.send('ready');
+	})
+	.catch((err) => {
+		console.error('socket server failed', err);
+	});
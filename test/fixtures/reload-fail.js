@@ -0,0 +1,17 @@
+require('babel-register')();
+const { existsSync, writeFileSync } = require('fs');
+const { registerAction } = require('../../src/worker');
+
+const { MARKER_FILE, FAIL_MODE } = process.env;
+
+// be ready at the first launch, and fail in the following launches
+if (!existsSync(MARKER_FILE)) {
+	writeFileSync(MARKER_FILE, '');
+	registerAction('echo', (params) => params);
+	process.send('ready');
+}
+else if (FAIL_MODE === 'exit') {
+	process.exit(1);
+}
+
+setInterval(() => {}, 1000);
@@ -0,0 +1,6 @@
+// ignore `SIGTERM`, but exit on `SIGINT`
+process.on('SIGTERM', () => console.log('SIGTERM ignored'));
+process.on('SIGINT', () => process.exit(0));
+
+setInterval(() => {}, 1000);
+console.log('signal server started');
@@ -0,0 +1,12 @@
+require('babel-register')();
+const worker = require('../../src/worker');
+
+worker.setState({
+	workerName: worker.name,
+	workerInstanceId: worker.instanceId,
+});
+worker.reportMetric('requests', 42);
+
+setInterval(() => {}, 1000);
+setTimeout(() => worker.ready(), 500);
+console.log('worker started');
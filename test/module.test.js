@@ -1,5 +1,12 @@
 import delay from 'delay';
-import { exec, Connection } from '../src';
+import { exec, Connection, Operators } from '../src';
+import workspace from '../src/utils/workspace';
+import { getCrashReports } from '../src/utils/CrashReports';
+import { remove, writeFile, outputFile, pathExists } from 'fs-extra';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import processExists from 'process-exists';
+import { spawn } from 'child_process';
 import { Client } from 'promise-ws';
 
 const entry = 'test/fixtures/socket.js';
@@ -27,6 +34,13 @@ describe('api module `exec`', () => {
 		expect(text).toBe('掂');
 	});
 
+	test('should resolve directory `entry`', async () => {
+		proc = await exec({ entry: 'test/fixtures/app' });
+		const state = await Connection.getState('pot-js');
+		expect(state.interpreter).toBe('node');
+		expect(state.monitor.status).toBe('running');
+	});
+
 	test('should `crashes` work', async () => {
 		proc = await exec({
 			entry: 'test/fixtures/crash.js',
@@ -55,6 +69,766 @@ describe('api module `exec`', () => {
 	});
 });
 
+describe('api module `exec` with `waitReady`', () => {
+	test('should resolve after the process is ready', async () => {
+		proc = await exec({
+			env: { PORT },
+			entry: 'test/fixtures/ready.js',
+			waitReady: true,
+		});
+		const client = await Client.create('ws://127.0.0.1:3010');
+		const text = await client.request('test', 'ready');
+		expect(text).toBe('ready');
+		const state = await Connection.getState('pot-js');
+		expect(state.monitor.status).toBe('running');
+	});
+
+	test('should throw error if ready timeout', async () => {
+		await expect(
+			exec({ env: { PORT }, entry, waitReady: true, readyTimeout: 1000 }),
+		).rejects.toBeDefined();
+		expect(await Connection.getNames()).toEqual([]);
+	});
+});
+
+describe('api module `connection.reload()`', () => {
+	test('should replace the process', async () => {
+		proc = await exec({
+			env: { PORT },
+			entry: 'test/fixtures/ready.js',
+			waitReady: true,
+		});
+		const prevState = await Connection.getState('pot-js');
+		const connection = await Connection.getByName('pot-js', {
+			keepAlive: true,
+		});
+		const progress = [];
+		await connection.reload({ onProgress: (ok) => progress.push(ok) });
+		expect(progress).toEqual([true]);
+		const state = await Connection.getState('pot-js');
+		expect(state.pid).not.toBe(prevState.pid);
+		expect(state.monitor.status).toBe('running');
+		const client = await Client.create('ws://127.0.0.1:3010');
+		const text = await client.request('test', 'reloaded');
+		expect(text).toBe('reloaded');
+	});
+
+	describe('with failed replacement', () => {
+		const MARKER_FILE = join(tmpdir(), 'pot-js-reload-fail');
+		const reloadFailed = async (FAIL_MODE) => {
+			proc = await exec({
+				env: { MARKER_FILE, FAIL_MODE },
+				entry: 'test/fixtures/reload-fail.js',
+				waitReady: true,
+				readyTimeout: 1000,
+			});
+			const prevState = await Connection.getState('pot-js');
+			const connection = await Connection.getByName('pot-js', {
+				keepAlive: true,
+			});
+			const progress = [];
+			await connection.reload({ onProgress: (ok) => progress.push(ok) });
+			expect(progress).toEqual([false]);
+			const state = await Connection.getState('pot-js');
+			expect(state.pid).toBe(prevState.pid);
+			expect(state.monitor.status).toBe('running');
+			expect(state.actions).toEqual(['echo']);
+			expect(await processExists(state.pid)).toBe(true);
+		};
+
+		beforeEach(async () => remove(MARKER_FILE));
+		afterEach(async () => remove(MARKER_FILE));
+
+		test('should keep the previous process if the new one exits', async () => {
+			await reloadFailed('exit');
+		});
+
+		test('should keep the previous process if the new one is not ready', async () => {
+			await reloadFailed('hang');
+		});
+
+		test('should not keep the previous process if it exited', async () => {
+			proc = await exec({
+				env: { MARKER_FILE, FAIL_MODE: 'hang' },
+				entry: 'test/fixtures/reload-fail.js',
+				waitReady: true,
+				readyTimeout: 1000,
+			});
+			const prevState = await Connection.getState('pot-js');
+			const connection = await Connection.getByName('pot-js', {
+				keepAlive: true,
+			});
+			const reloading = connection.reload();
+			await delay(300);
+			process.kill(prevState.pid, 'SIGKILL');
+			await reloading;
+			const state = await Connection.getState('pot-js');
+			expect(state.pid).not.toBe(prevState.pid);
+			expect(state.monitor.status).not.toBe('running');
+		});
+	});
+});
+
+describe('api module `exec` with `killSignal` and `killTimeout`', () => {
+	const signalEntry = 'test/fixtures/signal.js';
+
+	test('should stop with custom signal', async () => {
+		proc = await exec({ entry: signalEntry, killTimeout: 60000 });
+		const connection = await Connection.getByName('pot-js');
+		const startTime = Date.now();
+		await connection.requestStopServer({ signal: 'SIGINT' });
+		expect(Date.now() - startTime).toBeLessThan(5000);
+		expect(await Connection.getNames()).toEqual([]);
+	});
+
+	test('should force kill after timeout', async () => {
+		proc = await exec({ entry: signalEntry, killTimeout: 500 });
+		const connection = await Connection.getByName('pot-js');
+		await connection.requestStopServer();
+		expect(await Connection.getNames()).toEqual([]);
+	});
+
+	test('should force kill immediately if `killTimeout` is 0', async () => {
+		proc = await exec({ entry: signalEntry, killTimeout: 0 });
+		const connection = await Connection.getByName('pot-js');
+		const startTime = Date.now();
+		await connection.requestStopServer();
+		expect(Date.now() - startTime).toBeLessThan(5000);
+		expect(await Connection.getNames()).toEqual([]);
+	});
+});
+
+describe('api module `connection.signal()`', () => {
+	test('should send signal to instances', async () => {
+		proc = await exec({
+			entry: 'test/fixtures/signal.js',
+			killSignal: 'SIGINT',
+		});
+		const { pid } = await Connection.getState('pot-js');
+		const connection = await Connection.getByName('pot-js');
+		const res = await connection.signal('SIGTERM');
+		expect(res.ok).toBe(true);
+		expect(res.signaled).toMatchObject([{ instanceId: 1, pid }]);
+	});
+
+	test('should fail if instance not found', async () => {
+		proc = await exec({
+			entry: 'test/fixtures/signal.js',
+			killSignal: 'SIGINT',
+		});
+		const connection = await Connection.getByName('pot-js');
+		const res = await connection.signal('SIGTERM', { instance: 2 });
+		expect(res.ok).toBe(false);
+		expect(res.signaled).toEqual([]);
+	});
+});
+
+describe('api module `connection.pause()` and `connection.resume()`', () => {
+	test('should pause and resume instances', async () => {
+		proc = await exec({ env: { PORT }, entry });
+		{
+			const connection = await Connection.getByName('pot-js');
+			const res = await connection.pause();
+			expect(res.ok).toBe(true);
+			const state = await Connection.getState('pot-js');
+			expect(state.monitor.status).toBe('paused');
+		}
+
+		{
+			const connection = await Connection.getByName('pot-js');
+			const res = await connection.resume();
+			expect(res.ok).toBe(true);
+			const state = await Connection.getState('pot-js');
+			expect(state.monitor.status).toBe('running');
+		}
+
+		const client = await Client.create('ws://127.0.0.1:3010');
+		const text = await client.request('test', 'resumed');
+		expect(text).toBe('resumed');
+	});
+
+	test('should stop paused instances', async () => {
+		proc = await exec({ env: { PORT }, entry });
+		await (await Connection.getByName('pot-js')).pause();
+		await (await Connection.getByName('pot-js')).requestStopServer();
+		expect(await Connection.getNames()).toEqual([]);
+	});
+});
+
+describe('api module `connection.send()`', () => {
+	test('should send message and receive reply', async () => {
+		proc = await exec({ entry: 'test/fixtures/message.js' });
+		const connection = await Connection.getByName('pot-js');
+		const res = await connection.send({ hello: 'world' }, { reply: true });
+		expect(res.ok).toBe(true);
+		expect(res.sent).toMatchObject([
+			{ instanceId: 1, reply: { echo: { hello: 'world' } } },
+		]);
+	});
+
+	test('should fail if reply timeout', async () => {
+		proc = await exec({ env: { PORT }, entry });
+		const connection = await Connection.getByName('pot-js');
+		const res = await connection.send('hello', { reply: true, timeout: 500 });
+		expect(res.ok).toBe(false);
+		expect(res.errors[0].message).toMatch('reply timeout');
+	});
+});
+
+describe('api module `connection.action()`', () => {
+	const actionEntry = 'test/fixtures/action.js';
+
+	test('should register actions', async () => {
+		proc = await exec({ entry: actionEntry });
+		await delay(2000);
+		const state = await Connection.getState('pot-js');
+		expect(state.actions).toEqual(['echo', 'fail', 'exit']);
+	});
+
+	test('should run action and receive results', async () => {
+		proc = await exec({ entry: actionEntry });
+		await delay(2000);
+		const connection = await Connection.getByName('pot-js');
+		const res = await connection.action('echo', { hello: 'world' });
+		expect(res.ok).toBe(true);
+		expect(res.results).toMatchObject([
+			{ instanceId: 1, result: { echo: { hello: 'world' } } },
+		]);
+	});
+
+	test('should fail if action throws or not found', async () => {
+		proc = await exec({ entry: actionEntry });
+		await delay(2000);
+		{
+			const connection = await Connection.getByName('pot-js');
+			const res = await connection.action('fail');
+			expect(res.ok).toBe(false);
+			expect(res.errors[0].message).toBe('action failed');
+		}
+
+		{
+			const connection = await Connection.getByName('pot-js');
+			const res = await connection.action('404');
+			expect(res.ok).toBe(false);
+			expect(res.errors[0].message).toMatch('has no action "404"');
+		}
+	});
+
+	test('should fail if exited before replying', async () => {
+		proc = await exec({ entry: actionEntry });
+		await delay(2000);
+		const connection = await Connection.getByName('pot-js');
+		const res = await connection.action('exit');
+		expect(res.ok).toBe(false);
+		expect(res.errors[0].message).toMatch('exited before replying');
+	});
+});
+
+describe('worker module', () => {
+	test('should `ready()`, `setState()` and `reportMetric()` work', async () => {
+		proc = await exec({
+			name: 'worker',
+			entry: 'test/fixtures/worker.js',
+			waitReady: true,
+		});
+		const state = await Connection.getState('worker');
+		expect(state.monitor.status).toBe('running');
+		expect(state.workerName).toBe('worker');
+		expect(state.workerInstanceId).toBe(1);
+		expect(state.monitor.metrics).toEqual({ requests: 42 });
+	});
+});
+
+describe('api module `exec` with `port`', () => {
+	test('should assign a port to each instance', async () => {
+		proc = await exec({ entry, port: PORT, instances: 2, cluster: false });
+		await delay(1000);
+		const instances = await Connection.getList();
+		const states = await Promise.all(
+			instances.map((instance) => instance.getState()),
+		);
+		const ports = states.map((state) => state.monitor.port);
+		expect(ports.sort()).toEqual([PORT, PORT + 1]);
+		for (const port of [PORT, PORT + 1]) {
+			const client = await Client.create(`ws://127.0.0.1:${port}`);
+			expect(await client.request('test', port)).toBe(port);
+		}
+	});
+});
+
+describe('api module `exec` with non-node entry', () => {
+	test('should detect interpreter by extension', async () => {
+		proc = await exec({ entry: 'test/fixtures/non-node.py' });
+		const state = await Connection.getState('pot-js');
+		expect(state.interpreter).toBe('python3');
+		expect(state.execPath).toBe('python3');
+		expect(state.monitor.status).toBe('running');
+	});
+
+	test('should throw error if entry file is not exists', async () => {
+		const err = await exec({ entry: 'test/fixtures/404.py' }).catch(
+			(err) => err,
+		);
+		expect(err.message).toMatch('Cannot find entry file');
+	});
+});
+
+describe('api module `exec` with `healthCheck`', () => {
+	test('should be healthy if health check passed', async () => {
+		proc = await exec({
+			env: { PORT },
+			entry,
+			healthCheck: { port: PORT, interval: 500, gracePeriod: 0 },
+		});
+		await delay(1500);
+		const state = await Connection.getState('pot-js');
+		expect(state.monitor.health).toBe('healthy');
+	});
+
+	test('should restart the process if health check failed', async () => {
+		proc = await exec({
+			env: { PORT },
+			entry,
+			healthCheck: {
+				command: 'exit 1',
+				interval: 500,
+				threshold: 2,
+				gracePeriod: 0,
+			},
+		});
+		const prevState = await Connection.getState('pot-js');
+		await delay(3000);
+		const state = await Connection.getState('pot-js');
+		expect(state.pid).not.toBe(prevState.pid);
+	});
+
+	test('should check the port of each instance', async () => {
+		proc = await exec({
+			entry,
+			port: PORT,
+			instances: 2,
+			cluster: false,
+			healthCheck: { port: '$PORT', interval: 500, gracePeriod: 0 },
+		});
+		await delay(1500);
+		const instances = await Connection.getList();
+		const states = await Promise.all(
+			instances.map((instance) => instance.getState()),
+		);
+		expect(states.map(({ monitor }) => monitor.health)).toEqual([
+			'healthy',
+			'healthy',
+		]);
+	});
+
+	test('should restart unhealthy instances one at a time', async () => {
+		proc = await exec({
+			env: { PORT },
+			entry,
+			instances: 2,
+			healthCheck: {
+				command: 'exit 1',
+				interval: 500,
+				threshold: 1,
+				gracePeriod: 0,
+			},
+		});
+		await delay(2500);
+		const instances = await Connection.getList();
+		const states = await Promise.all(
+			instances.map((instance) => instance.getState()),
+		);
+		const [a, b] = states.map(({ monitor }) =>
+			new Date(monitor.lastRecycle.time).getTime(),
+		);
+		expect(Math.abs(a - b)).toBeGreaterThanOrEqual(400);
+	});
+});
+
+describe('crash reports', () => {
+	const removeReports = async () =>
+		remove(await workspace.getCrashesDir('pot-js'));
+
+	beforeEach(removeReports);
+	afterEach(removeReports);
+
+	test('should write crash report on unexpected exit', async () => {
+		proc = await exec({
+			entry: 'test/fixtures/crash-output.js',
+			maxRestarts: 1,
+		});
+		await delay(2000);
+		const reports = await getCrashReports('pot-js');
+		expect(reports.length).toBe(2);
+		const [report] = reports;
+		expect(report).toMatchObject({ exitCode: 1, signal: null, instanceId: 1 });
+		expect(report.command).toMatch('crash-output.js');
+		expect(reports.map(({ crashes }) => crashes).sort()).toEqual([1, 2]);
+		expect(report.output).toEqual([
+			{ stream: 'stdout', text: 'hello' },
+			{ stream: 'stderr', text: 'something went wrong' },
+		]);
+	});
+});
+
+describe('api module `exec` with `restartPolicy`', () => {
+	test('should forget the restarts out of `window`', async () => {
+		proc = await exec({
+			entry: 'test/fixtures/crash.js',
+			maxRestarts: 1,
+			restartPolicy: { minDelay: 500, window: 300 },
+		});
+		await delay(2500);
+		const { monitor } = await Connection.getState('pot-js');
+		expect(monitor.crashes).toBeGreaterThan(2);
+		expect(monitor.status).not.toBe('crashed');
+		expect(monitor.restartAttempts).toBe(1);
+		expect(monitor.restartDelay).toBe(500);
+	});
+
+	test('should only count the restarts within `window`', async () => {
+		proc = await exec({
+			entry: 'test/fixtures/crash.js',
+			maxRestarts: 1,
+			restartPolicy: { minDelay: 500, window: 60000 },
+		});
+		await delay(2500);
+		const { monitor } = await Connection.getState('pot-js');
+		expect(monitor.crashes).toBe(2);
+		expect(monitor.status).toBe('crashed');
+		expect(monitor.restartAttempts).toBe(2);
+		expect(monitor.restartDelay).toBe(500);
+	});
+
+	test('should reset the restarts after `resetAfter`', async () => {
+		proc = await exec({
+			env: { EXIT_CODE: 1 },
+			entry: 'test/fixtures/exit.js',
+			maxRestarts: 1,
+			restartPolicy: { minDelay: 200, resetAfter: 400 },
+		});
+		await delay(3000);
+		const { monitor } = await Connection.getState('pot-js');
+		expect(monitor.crashes).toBeGreaterThan(2);
+		expect(monitor.status).not.toBe('crashed');
+		expect(monitor.restartAttempts).toBe(1);
+	});
+});
+
+describe('api module `exec` with `maxMemory`', () => {
+	test('should restart the process if memory limit exceeded', async () => {
+		jest.setTimeout(20000);
+		proc = await exec({ env: { PORT }, entry, maxMemory: '1K' });
+		const prevState = await Connection.getState('pot-js');
+		await delay(12000);
+		const state = await Connection.getState('pot-js');
+		expect(state.pid).not.toBe(prevState.pid);
+		expect(state.monitor.status).toBe('running');
+	});
+});
+
+describe('api module `exec` with `autorestart`', () => {
+	const exitEntry = 'test/fixtures/exit.js';
+
+	test('should complete if exited with 0 in `on-failure` mode', async () => {
+		proc = await exec({
+			entry: exitEntry,
+			autorestart: 'on-failure',
+			maxRestarts: -1,
+		});
+		await delay(1500);
+		const state = await Connection.getState('pot-js');
+		expect(state.monitor.status).toBe('completed');
+		expect(state.monitor.exitCode).toBe(0);
+		expect(state.monitor.crashes).toBe(0);
+	});
+
+	test('should complete if exited with one of `stopExitCodes`', async () => {
+		proc = await exec({
+			env: { EXIT_CODE: 3 },
+			entry: exitEntry,
+			stopExitCodes: [3],
+			maxRestarts: -1,
+		});
+		await delay(1500);
+		const state = await Connection.getState('pot-js');
+		expect(state.monitor.status).toBe('completed');
+		expect(state.monitor.exitCode).toBe(3);
+	});
+
+	test('should not restart if `autorestart` is `false`', async () => {
+		proc = await exec({
+			env: { EXIT_CODE: 1 },
+			entry: exitEntry,
+			autorestart: false,
+			maxRestarts: -1,
+		});
+		await delay(1500);
+		const state = await Connection.getState('pot-js');
+		expect(state.monitor.status).toBe('crashed');
+		expect(state.monitor.exitCode).toBe(1);
+		expect(state.monitor.crashes).toBe(1);
+	});
+});
+
+describe('api module `exec` with `cronRestart`', () => {
+	test('should restart the process on cron', async () => {
+		proc = await exec({
+			entry: 'test/fixtures/message.js',
+			cronRestart: '* * * * * *',
+		});
+		const prevState = await Connection.getState('pot-js');
+		const prevNext = new Date(prevState.monitor.nextCronRestart).getTime();
+		expect(prevNext).toBeGreaterThan(Date.now() - 1000);
+
+		// wait for the first cron restart
+		let state = prevState;
+		while (state.pid === prevState.pid) {
+			await delay(100);
+			state = await Connection.getState('pot-js');
+		}
+		expect(state.monitor.status).toBe('running');
+		const next = new Date(state.monitor.nextCronRestart).getTime();
+		expect(next).toBeGreaterThan(prevNext);
+	});
+});
+
+describe('api module `exec` with `schedule`', () => {
+	test('should run the entry on schedule', async () => {
+		proc = await exec({
+			entry: 'test/fixtures/exit.js',
+			schedule: '*/2 * * * * *',
+		});
+		let state = await Connection.getState('pot-js');
+		expect(state.monitor.status).toBe('scheduled');
+		expect(state.monitor.runs).toEqual([]);
+
+		// wait for the first run to complete
+		while (!state.monitor.runs.length) {
+			await delay(100);
+			state = await Connection.getState('pot-js');
+		}
+		expect(state.monitor.status).toBe('scheduled');
+		expect(state.monitor.runs[0]).toMatchObject({ exitCode: 0 });
+	});
+
+	test('should not overlap runs by default', async () => {
+		proc = await exec({
+			entry: 'test/fixtures/message.js',
+			schedule: '* * * * * *',
+		});
+		await delay(1500);
+		const prevState = await Connection.getState('pot-js');
+		expect(prevState.monitor.status).toBe('running');
+		await delay(2000);
+		const state = await Connection.getState('pot-js');
+		expect(state.pid).toBe(prevState.pid);
+		expect(state.monitor.runs).toEqual([]);
+	});
+});
+
+describe('api module `exec` with `autoscale`', () => {
+	test('should scale up if usage exceeds target', async () => {
+		proc = await exec({
+			entry: 'test/fixtures/message.js',
+			autoscale: {
+				max: 2,
+				metric: 'memory',
+				target: '1K',
+				interval: 500,
+				cooldown: 0,
+			},
+		});
+		await delay(3000);
+		const instances = await Connection.getList();
+		expect(instances.length).toBe(2);
+		const state = await instances[0].getState();
+		expect(state.monitor.autoscale.target).toBe(2);
+		expect(state.monitor.autoscale.reason).toMatch('average memory');
+	});
+
+	test('should scale down if usage is low', async () => {
+		proc = await exec({
+			entry: 'test/fixtures/message.js',
+			instances: 2,
+			autoscale: { max: 2, target: 90, interval: 500, cooldown: 0 },
+		});
+		await delay(3000);
+		const instances = await Connection.getList();
+		expect(instances.length).toBe(1);
+	});
+});
+
+describe('api module `exec` with `maxUptime`', () => {
+	test('should recycle instances one by one', async () => {
+		jest.setTimeout(20000);
+		proc = await exec({
+			entry: 'test/fixtures/message.js',
+			maxUptime: '2s',
+			instances: 2,
+		});
+		const getStates = async () => {
+			const instances = await Connection.getList();
+			return Promise.all(instances.map((instance) => instance.getState()));
+		};
+		const prevStates = await getStates();
+		await delay(6000);
+		const states = await getStates();
+		states.forEach((state, index) => {
+			expect(state.pid).not.toBe(prevStates[index].pid);
+			expect(state.monitor.lastRecycle.reason).toBe('maxUptime');
+		});
+		const [a, b] = states.map(({ monitor }) =>
+			new Date(monitor.lastRecycle.time).getTime(),
+		);
+		expect(a).not.toBe(b);
+	});
+});
+
+describe('operators `save` and `resurrect`', () => {
+	afterEach(async () => remove(await workspace.getSnapshotFile()));
+
+	test('should restore the saved processes', async () => {
+		jest.setTimeout(20000);
+		const name = 'saved';
+		proc = await exec({
+			name,
+			entry: 'test/fixtures/message.js',
+			instances: 2,
+			cluster: false,
+		});
+		await Operators.save();
+		await proc.kill();
+		expect(await Connection.getNames()).toEqual([]);
+
+		await Operators.resurrect();
+		proc = {
+			kill: async () => (await Connection.getByName(name)).requestStopServer(),
+		};
+		const connection = await Connection.getByName(name);
+		expect(connection.instances.length).toBe(2);
+		const state = await connection.getState();
+		expect(state.entry).toBe('test/fixtures/message.js');
+		expect(state.cluster).toBe(false);
+	});
+});
+
+describe('api module `exec` with `supervisor`', () => {
+	test('should restart the monitor if it dies', async () => {
+		jest.setTimeout(20000);
+		const name = 'supervised';
+		proc = await exec({
+			name,
+			entry: 'test/fixtures/message.js',
+			instances: 2,
+			cluster: false,
+			daemon: true,
+			supervisor: true,
+		});
+		const connection = await Connection.getByName(name);
+		const prevStates = await Promise.all(
+			connection.instances.map((instance) => instance.getState()),
+		);
+		await connection.disconnect();
+		process.kill(prevStates[0].ppid, 'SIGKILL');
+		await delay(5000);
+
+		const newConnection = await Connection.getByName(name);
+		expect(newConnection.instances.length).toBe(2);
+		const state = await newConnection.getState();
+		expect(state.ppid).not.toBe(prevStates[0].ppid);
+		const orphans = await Promise.all(
+			prevStates.map(({ pid }) => processExists(pid)),
+		);
+		expect(orphans).toEqual([false, false]);
+		await newConnection.disconnect();
+	});
+});
+
+describe('operators with `name#N` target', () => {
+	const getPids = async () => {
+		const instances = await Connection.getList();
+		const states = await Promise.all(
+			instances.map((instance) => instance.getState()),
+		);
+		return states.reduce((pids, { instanceId, pid }) => {
+			pids[instanceId] = pid;
+			return pids;
+		}, {});
+	};
+
+	test('should get the connection of the instance only', async () => {
+		proc = await exec({ entry: 'test/fixtures/message.js', instances: 2 });
+		const connection = await Connection.getByName('pot-js#2');
+		const state = await connection.getState();
+		expect(connection.instances.length).toBe(1);
+		expect(state.instanceId).toBe(2);
+		await connection.disconnect();
+	});
+
+	test('should restart the instance only', async () => {
+		proc = await exec({ entry: 'test/fixtures/message.js', instances: 2 });
+		const prevPids = await getPids();
+		await Operators.restart({ name: 'pot-js#2' });
+		await delay(1000);
+		const pids = await getPids();
+		expect(pids[1]).toBe(prevPids[1]);
+		expect(pids[2]).not.toBe(prevPids[2]);
+	});
+
+	test('should stop the instance by `instance` option', async () => {
+		proc = await exec({ entry: 'test/fixtures/message.js', instances: 2 });
+		await Operators.stop({ name: 'pot-js', instance: 1, force: true });
+		await delay(1000);
+		expect(Object.keys(await getPids())).toEqual(['2']);
+	});
+});
+
+describe('operator `doctor`', () => {
+	const options = { workspace: 'doctor-testing' };
+
+	afterAll(() => workspace.set());
+
+	test('should find and fix stale pid files', async () => {
+		proc = await exec({ ...options, entry: 'test/fixtures/message.js' });
+		const pidFile = join(await workspace.getRunDir(), 'stale-1.pid');
+		await writeFile(pidFile, '999999');
+
+		const issues = await Operators.doctor(options);
+		expect(issues.map(({ type, target }) => ({ type, target }))).toEqual([
+			{ type: 'stale-pid', target: 'stale-1' },
+		]);
+
+		await Operators.doctor({ ...options, fix: true });
+		expect(await pathExists(pidFile)).toBe(false);
+		expect(await Connection.getNames(options)).toEqual(['pot-js']);
+	});
+
+	test('should not kill the process which is not started by pot', async () => {
+		proc = await exec({ ...options, entry: 'test/fixtures/message.js' });
+		const sleep = spawn('sleep', ['10']);
+		const pidFile = join(await workspace.getRunDir(), 'reused-1.pid');
+		await writeFile(pidFile, `${sleep.pid}`);
+
+		const issues = await Operators.doctor({ ...options, fix: true });
+		expect(issues.map(({ type, target }) => ({ type, target }))).toEqual([
+			{ type: 'stale-pid', target: 'reused-1' },
+		]);
+		expect(await pathExists(pidFile)).toBe(false);
+		expect(await processExists(sleep.pid)).toBe(true);
+		sleep.kill();
+	});
+
+	test('should keep the logs of stopped apps', async () => {
+		workspace.set(options.workspace);
+		const logsDir = join(await workspace.getLogsDir(), 'stopped');
+		await outputFile(join(logsDir, 'all.log'), 'hello');
+		expect(await Operators.doctor({ ...options, fix: true })).toEqual([]);
+		expect(await pathExists(logsDir)).toBe(true);
+		await remove(logsDir);
+	});
+});
+
 describe('api module `Connection.getList()`', () => {
 	test('should `getState` work', async () => {
 		const name = 'hello';